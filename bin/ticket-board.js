@@ -3,6 +3,25 @@
 
 const fs = require('fs');
 const path = require('path');
+const { BoardError } = require('../lib/errors');
+const { findTicketsDir, loadTickets, loadTicketsAsync } = require('../lib/tickets');
+const { loadBoardConfig, BOARD_CONFIG_FILE } = require('../lib/config');
+const { SWIMLANE_KEYS, buildBoard, wipViolations } = require('../lib/board');
+const { FORMATS, formatBoard } = require('../lib/formats');
+const { createColors, renderBoard } = require('../lib/render');
+const { THEME_NAMES, resolveTheme } = require('../lib/theme');
+const { lintTickets } = require('../lib/lint');
+const { runInteractive } = require('../lib/interactive');
+const { runWatch } = require('../lib/watch');
+const { serveBoard } = require('../lib/serve');
+const { loadStatusHistory, loadTicketsAt, resolveRevision } = require('../lib/history');
+const { boardChanges, changeDecorator, summarizeChanges } = require('../lib/changes');
+const { computeStats, renderStats } = require('../lib/stats');
+const { loadProjectTickets, loadProjectTicketsAsync, loadWorkspace, projectsFromDirs } = require('../lib/projects');
+const { resolveMe } = require('../lib/identity');
+const { staleAfter } = require('../lib/age');
+const { applyEdit, editDiff, findTicket, planAssign, planMove, planTag } = require('../lib/actions');
+const { attachPRStatus, commandAllowed } = require('../lib/pr');
 
 // --- arg parsing ---
 
@@ -15,309 +34,617 @@ if (args.includes('--tk-describe')) {
 
 if (args.includes('-h') || args.includes('--help')) {
   const usage = `Usage: tk board [options]
-
-Display tickets grouped by status in a kanban-style board view.
+       tk board serve [--port PORT] [options]
+       tk board stats [--weeks N] [options]
+       tk board move ID STATUS [--dry-run]
+       tk board assign ID NAME|- [--dry-run]
+       tk board tag ID +TAG -TAG... [--dry-run]
+
+Display tickets grouped by status in a kanban-style board view. \`serve\`
+serves the board as a web page on localhost that reloads when tickets change;
+\`stats\` reports throughput, lead and cycle times and cumulative flow.
+\`move\`, \`assign\` and \`tag\` edit a ticket's frontmatter in place; ID may
+be any unique part of a ticket ID.
 
 Options:
   -a, --assignee NAME   Filter to a single assignee
   -T, --tag TAG         Filter to tickets with a specific tag
+  -q, --query EXPR      Filter with a query, e.g. 'assignee:(ham,ewe) -tag:blocked priority:<=1'
   --no-closed           Hide the closed column
-  --me                  Filter to tickets assigned to current worker
+  --closed              Show the closed column (overrides a view's --no-closed)
+  --all-columns         Also show columns hidden by the board config
+  --columns KEYS        Only show these columns (comma-separated keys)
+  --sort KEYS           Sort cards by these keys, e.g. priority,created or -updated
+  --check-wip           Report columns over their WIP limit; exit 1 if any
+  --stale               Only show tickets left untouched longer than their column allows
+  --check-stale         Report stale tickets; exit 1 if any
+  --swimlanes=KEY       Split the board into lanes: assignee, tag, priority, parent, project
+  --ready               Only show open tickets whose dependencies are all closed
+  --epic ID             Only show an epic and the tickets below it
+  --collapse-children   Hide tickets whose parent is on the board; the parent shows their progress
+  --me                  Filter to your tickets (TK_ME, board.json "me" or git user.name)
+  --dir DIR             Merge the tickets of several directories (repeatable; NAME=DIR names the project)
+  --workspace FILE      Merge the projects listed in a workspace file
+  --project NAME        Only show tickets of this project (repeatable)
   --color=MODE          Color output: always, never, auto (default: auto)
+  --theme NAME          Color theme: ${THEME_NAMES.join(', ')}
+  --hyperlinks=MODE     Clickable PR links: always, never, auto (default: auto)
+  --no-pr-status        Do not look up PR states even when board.json sets "prStatus"
+  --wrap, --no-wrap     Wrap long titles over several card lines instead of cutting them off
+  --limit N             Show at most N cards per column (closed columns default to the 10 most recent)
+  --no-limit            Show every card, including all closed tickets
+  -i, --interactive     Browse the board and move tickets with the keyboard
+  -w, --watch           Keep running and redraw when tickets change
+  --format=FORMAT       Output format: board, json, csv, markdown, html (default: board)
+  -o, --output FILE     Write the output to FILE instead of stdout
+  --port PORT           Port for \`serve\` (default: 8080)
+  --weeks N             Weeks of history for \`stats\` (default: 8)
+  --at REV|DATE         Show the board as it was at a git revision or date
+  --diff-from REV|DATE  Mark cards added, moved or closed since a revision or date
+  --view NAME           Apply a saved view from board.json; other flags override it
+  --list-views          List the saved views
+  --lint                Check every ticket file and report problems as file:line
+  --dry-run             Print the change move, assign or tag would make as a diff
+  --no-cache            Parse every ticket file instead of reusing .board-cache.json
   -h, --help            Show this help
 
 Environment:
+  TK_ME                 Who --me means, overriding board.json and git
+  TK_ALLOW_PR_COMMAND   The board.json prStatus.command that may run (exact command line)
   FORCE_COLOR=1         Enable colors even when not a TTY
+  FORCE_HYPERLINK=1|0   Turn clickable links on or off when --hyperlinks=auto
   NO_COLOR              Disable colors`;
   console.log(usage);
   process.exit(0);
 }
 
-let filterAssignee = null;
-let filterTag = null;
-let showClosed = true;
-let filterMe = false;
-let forceColor = null; // null = auto, true = always, false = never
-
-for (let i = 0; i < args.length; i++) {
-  switch (args[i]) {
-    case '-a': case '--assignee':
-      filterAssignee = args[++i]; break;
-    case '-T': case '--tag':
-      filterTag = args[++i]; break;
-    case '--no-closed':
-      showClosed = false; break;
-    case '--me':
-      filterMe = true; break;
-    case '--color':
-      forceColor = (args[++i] !== 'never'); break;
-    case '--color=always':
-      forceColor = true; break;
-    case '--color=never':
-      forceColor = false; break;
-    case '--color=auto':
-      forceColor = null; break;
-    default:
-      if (args[i].startsWith('-')) {
-        console.error(`Unknown option: ${args[i]}`);
-        process.exit(1);
-      }
-      break;
-  }
-}
-
-// --- tickets dir resolution ---
-
-function findTicketsDir() {
-  const envDir = process.env.TICKETS_DIR;
-  if (envDir) return envDir;
+// Commands that edit a ticket and take positional arguments
+const ACTIONS = ['move', 'assign', 'tag'];
+const COMMANDS = ['serve', 'stats', ...ACTIONS];
+
+function parseArgs(argv) {
+  const opts = {
+    assignee: null,
+    tag: null,
+    queries: [],
+    showClosed: true,
+    allColumns: false,
+    columns: null,
+    me: false,
+    ready: false,
+    color: null, // null = auto, true = always, false = never
+    hyperlinks: null, // likewise
+    prStatus: true,
+    cache: true,
+    interactive: false,
+    watch: false,
+    format: 'board',
+    checkWip: false,
+    stale: false,
+    checkStale: false,
+    epic: null,
+    collapseChildren: false,
+    swimlanes: null,
+    view: null,
+    listViews: false,
+    lint: false,
+    command: null,
+    commandArgs: [],
+    dryRun: false,
+    output: null,
+    port: 8080,
+    weeks: 8,
+    at: null,
+    diffFrom: null,
+    theme: null,
+    wrap: null,
+    limit: undefined,
+    dirs: [],
+    workspace: null,
+    projects: [],
+    sort: null,
+  };
 
-  let dir = process.cwd();
-  while (true) {
-    const candidate = path.join(dir, '.tickets');
-    if (fs.existsSync(candidate) && fs.statSync(candidate).isDirectory()) {
-      return candidate;
+  for (let i = 0; i < argv.length; i++) {
+    // Past move, assign or tag, everything but a long option is an argument,
+    // so `-blocked` removes a tag
+    if (ACTIONS.includes(opts.command) && !argv[i].startsWith('--')) {
+      opts.commandArgs.push(argv[i]);
+      continue;
+    }
+    switch (argv[i]) {
+      case '-a': case '--assignee':
+        opts.assignee = argv[++i];
+        opts.me = false;
+        break;
+      case '-T': case '--tag':
+        opts.tag = argv[++i]; break;
+      case '-q': case '--query':
+        opts.queries.push(argv[++i] || ''); break;
+      case '--no-closed':
+        opts.showClosed = false; break;
+      case '--closed':
+        opts.showClosed = true; break;
+      case '--all-columns':
+        opts.allColumns = true; break;
+      case '--columns':
+        opts.columns = (argv[++i] || '').split(',').map(c => c.trim()).filter(Boolean); break;
+      case '--sort':
+        opts.sort = argv[++i] || ''; break;
+      case '--check-wip':
+        opts.checkWip = true; break;
+      case '--stale':
+        opts.stale = true; break;
+      case '--check-stale':
+        opts.checkStale = true; break;
+      case '--epic':
+        opts.epic = argv[++i] || ''; break;
+      case '--collapse-children':
+        opts.collapseChildren = true; break;
+      case '--ready':
+        opts.ready = true; break;
+      case '--me':
+        opts.me = true;
+        opts.assignee = null;
+        break;
+      case '--color':
+        opts.color = (argv[++i] !== 'never'); break;
+      case '--color=always':
+        opts.color = true; break;
+      case '--color=never':
+        opts.color = false; break;
+      case '--color=auto':
+        opts.color = null; break;
+      case '--hyperlinks=always':
+        opts.hyperlinks = true; break;
+      case '--hyperlinks=never':
+        opts.hyperlinks = false; break;
+      case '--hyperlinks=auto':
+        opts.hyperlinks = null; break;
+      case '--no-pr-status':
+        opts.prStatus = false; break;
+      case '--no-cache':
+        opts.cache = false; break;
+      case '-i': case '--interactive':
+        opts.interactive = true; break;
+      case '-w': case '--watch':
+        opts.watch = true; break;
+      case '--format':
+        opts.format = argv[++i]; break;
+      case '--swimlanes':
+        opts.swimlanes = argv[++i]; break;
+      case '--view':
+        opts.view = argv[++i]; break;
+      case '--list-views':
+        opts.listViews = true; break;
+      case '--lint':
+        opts.lint = true; break;
+      case '--dry-run':
+        opts.dryRun = true; break;
+      case '-o': case '--output':
+        opts.output = argv[++i]; break;
+      case '--port':
+        opts.port = Number(argv[++i]); break;
+      case '--weeks':
+        opts.weeks = Number(argv[++i]); break;
+      case '--theme':
+        opts.theme = argv[++i]; break;
+      case '--wrap':
+        opts.wrap = true; break;
+      case '--no-wrap':
+        opts.wrap = false; break;
+      case '--limit':
+        opts.limit = Number(argv[++i]); break;
+      case '--no-limit':
+        opts.limit = null; break;
+      case '--dir':
+        opts.dirs.push(argv[++i] || ''); break;
+      case '--workspace':
+        opts.workspace = argv[++i]; break;
+      case '--project':
+        opts.projects.push(argv[++i] || ''); break;
+      case '--at':
+        opts.at = argv[++i]; break;
+      case '--diff-from':
+        opts.diffFrom = argv[++i]; break;
+      default:
+        if (argv[i].startsWith('--format=')) {
+          opts.format = argv[i].slice('--format='.length);
+          break;
+        }
+        if (argv[i].startsWith('--swimlanes=')) {
+          opts.swimlanes = argv[i].slice('--swimlanes='.length);
+          break;
+        }
+        if (argv[i].startsWith('--port=')) {
+          opts.port = Number(argv[i].slice('--port='.length));
+          break;
+        }
+        if (argv[i].startsWith('--sort=')) {
+          opts.sort = argv[i].slice('--sort='.length);
+          break;
+        }
+        if (argv[i].startsWith('--view=')) {
+          opts.view = argv[i].slice('--view='.length);
+          break;
+        }
+        if (argv[i].startsWith('-')) {
+          throw new BoardError(`Unknown option: ${argv[i]}`);
+        }
+        if (opts.command !== null || !COMMANDS.includes(argv[i])) {
+          throw new BoardError(`Unknown command: ${argv[i]} (expected one of: ${COMMANDS.join(', ')})`);
+        }
+        opts.command = argv[i];
+        break;
     }
-    const parent = path.dirname(dir);
-    if (parent === dir) break;
-    dir = parent;
   }
 
-  console.error('Error: no .tickets directory found (searched parent directories)');
-  process.exit(1);
+  return opts;
 }
 
-const ticketsDir = findTicketsDir();
-
-// --- parse tickets ---
-
-function parseTicket(filePath) {
-  const content = fs.readFileSync(filePath, 'utf8');
-  const fmMatch = content.match(/^---\n([\s\S]*?)\n---\n([\s\S]*)$/);
-  if (!fmMatch) return null;
-
-  const frontmatter = fmMatch[1];
-  const body = fmMatch[2];
-
-  const fields = {};
-  for (const line of frontmatter.split('\n')) {
-    const m = line.match(/^([a-z][a-z0-9_-]*): ?(.*)$/);
-    if (m) {
-      fields[m[1]] = m[2];
-    }
+function validateOptions(opts) {
+  if (!FORMATS.includes(opts.format)) {
+    throw new BoardError(`Unknown format: ${opts.format} (expected one of: ${FORMATS.join(', ')})`);
+  }
+  if (opts.swimlanes !== null && !SWIMLANE_KEYS.includes(opts.swimlanes)) {
+    throw new BoardError(`Unknown swimlane key: ${opts.swimlanes} (expected one of: ${SWIMLANE_KEYS.join(', ')})`);
+  }
+  if (opts.swimlanes && opts.interactive) {
+    throw new BoardError('--swimlanes cannot be combined with --interactive');
+  }
+  if (opts.format !== 'board' && (opts.interactive || opts.watch)) {
+    throw new BoardError(`--format=${opts.format} cannot be combined with --interactive or --watch`);
+  }
+  if (opts.output !== null && (opts.interactive || opts.watch)) {
+    throw new BoardError('--output cannot be combined with --interactive or --watch');
+  }
+  if (opts.command !== null && (opts.interactive || opts.watch)) {
+    throw new BoardError(`${opts.command} cannot be combined with --interactive or --watch`);
+  }
+  const usage = { move: 'move ID STATUS', assign: 'assign ID NAME', tag: 'tag ID +TAG -TAG...' }[opts.command];
+  const arity = opts.command === 'tag' ? opts.commandArgs.length >= 2 : opts.commandArgs.length === 2;
+  if (usage && !arity) {
+    throw new BoardError(`usage: tk board ${usage}`);
+  }
+  if (opts.dryRun && !usage) {
+    throw new BoardError('--dry-run only works with move, assign and tag');
   }
+  if (opts.command === 'stats' && !['board', 'json'].includes(opts.format)) {
+    throw new BoardError(`stats supports --format=board or --format=json, not ${opts.format}`);
+  }
+  if ((opts.at !== null || opts.diffFrom !== null) && (opts.interactive || opts.watch || opts.command !== null)) {
+    throw new BoardError('--at and --diff-from cannot be combined with --interactive, --watch, serve or stats');
+  }
+  if (opts.diffFrom !== null && opts.format !== 'board') {
+    throw new BoardError('--diff-from only works with --format=board');
+  }
+  if (!Number.isInteger(opts.weeks) || opts.weeks < 1) {
+    throw new BoardError('--weeks must be a positive number');
+  }
+  if (!Number.isInteger(opts.port) || opts.port < 0 || opts.port > 65535) {
+    throw new BoardError('--port must be a number between 0 and 65535');
+  }
+  if (opts.limit !== undefined && opts.limit !== null && (!Number.isInteger(opts.limit) || opts.limit < 1)) {
+    throw new BoardError('--limit must be a positive number');
+  }
+  if (opts.workspace !== null && opts.dirs.length) {
+    throw new BoardError('--dir and --workspace cannot be combined');
+  }
+  const merged = opts.workspace !== null || opts.dirs.length > 1;
+  if (merged && (opts.watch || ['serve', 'stats'].includes(opts.command) || opts.at !== null || opts.diffFrom !== null)) {
+    throw new BoardError('a board of several projects cannot be combined with --watch, serve, stats, --at or --diff-from');
+  }
+  if (opts.projects.length && !merged) {
+    throw new BoardError('--project needs several projects (--dir DIR --dir DIR, or --workspace FILE)');
+  }
+}
 
-  // Extract title from first # heading
-  const titleMatch = body.match(/^# (.+)$/m);
-  const title = titleMatch ? titleMatch[1].trim() : '(no title)';
+// --- environment ---
 
-  // Parse tags from [tag1, tag2] format
-  let tags = [];
-  if (fields.tags) {
-    const cleaned = fields.tags.replace(/^\[|\]$/g, '');
-    tags = cleaned.split(',').map(t => t.trim()).filter(Boolean);
-  }
+function useColor(opts) {
+  if (opts.color !== null) return opts.color;
+  if (process.env.FORCE_COLOR) return true;
+  if (process.env.NO_COLOR !== undefined) return false;
+  return process.stdout.isTTY === true;
+}
 
-  // Parse pull_request field
-  const pr = fields['pull_request'] || fields['pull-request'] || null;
+// Terminals that understand colors mostly understand OSC 8 links too; the
+// rest show them as plain text
+function useHyperlinks(opts, color) {
+  if (opts.hyperlinks !== null) return opts.hyperlinks;
+  if (opts.output !== null) return false;
+  if (process.env.FORCE_HYPERLINK !== undefined) return process.env.FORCE_HYPERLINK !== '0';
+  return color && process.stdout.isTTY === true;
+}
 
-  return {
-    id: fields.id || path.basename(filePath, '.md'),
-    status: fields.status || 'open',
-    priority: fields.priority !== undefined ? parseInt(fields.priority, 10) : 2,
-    assignee: fields.assignee || null,
-    title,
-    tags,
-    pr,
-  };
+function terminalWidth() {
+  return process.stdout.columns || process.stderr.columns || parseInt(process.env.COLUMNS, 10) || 80;
 }
 
-function loadAllTickets() {
-  let entries;
-  try {
-    entries = fs.readdirSync(ticketsDir);
-  } catch {
-    console.error(`Error: cannot read ${ticketsDir}`);
-    process.exit(1);
+// --- views ---
+
+function printViews(config, ticketsDir) {
+  if (!config.views.length) {
+    console.log(`No views defined in ${path.join(ticketsDir, BOARD_CONFIG_FILE)}`);
+    return;
+  }
+  const width = Math.max(...config.views.map(v => v.name.length));
+  for (const view of config.views) {
+    const summary = view.args.join(' ');
+    const text = view.description ? `${view.description}  (${summary})` : summary;
+    console.log(`${view.name.padEnd(width)}  ${text}`);
   }
+}
 
-  const tickets = [];
-  for (const entry of entries) {
-    if (!entry.endsWith('.md')) continue;
-    const ticket = parseTicket(path.join(ticketsDir, entry));
-    if (ticket) tickets.push(ticket);
+// Layer a saved view underneath the flags given on the command line
+function applyView(opts, config) {
+  if (!opts.view) return opts;
+  const view = config.views.find(v => v.name === opts.view);
+  if (!view) {
+    const names = config.views.map(v => v.name).join(', ') || 'none defined';
+    throw new BoardError(`Unknown view: ${opts.view} (available: ${names})`);
   }
-  return tickets;
+  return parseArgs([...view.args, ...args]);
 }
 
-// --- filtering ---
+// --- reports ---
 
-function inferMe() {
-  // Infer current worker from cwd folder name
-  return path.basename(process.cwd());
+function reportWip(columns) {
+  const violations = wipViolations(columns);
+  if (!violations.length) {
+    console.log('WIP limits OK');
+    return true;
+  }
+  console.log('WIP limits exceeded:');
+  for (const v of violations) {
+    const who = v.assignee ? ` @${v.assignee}` : '';
+    console.log(`  ${v.column}${who}: ${v.count}/${v.limit}`);
+  }
+  return false;
 }
 
-function applyFilters(tickets) {
-  let result = tickets;
-
-  const assignee = filterMe ? inferMe() : filterAssignee;
-  if (assignee) {
-    result = result.filter(t => t.assignee && t.assignee.toLowerCase() === assignee.toLowerCase());
+function reportStale(columns, config) {
+  const stale = columns.flatMap(col => col.tickets.filter(t => t.stale).map(t => ({ col, t })));
+  if (!stale.length) {
+    console.log('No stale tickets');
+    return true;
+  }
+  console.log('Stale tickets:');
+  for (const { col, t } of stale) {
+    const who = t.assignee ? ` @${t.assignee}` : '';
+    console.log(`  ${col.label}: ${t.id}${who} untouched for ${t.age} days (limit ${staleAfter(config, t.status)}): ${t.title}`);
   }
+  return false;
+}
 
-  if (filterTag) {
-    result = result.filter(t => t.tags.some(tag => tag.toLowerCase() === filterTag.toLowerCase()));
+function reportLint(ticketsDirs, config) {
+  let checked = 0;
+  const problems = [];
+  for (const dir of ticketsDirs) {
+    const result = lintTickets(dir, config);
+    checked += result.checked;
+    problems.push(...result.problems);
+  }
+  for (const p of problems) {
+    console.log(`${path.relative(process.cwd(), p.file) || p.file}:${p.line}: ${p.message}`);
   }
 
-  return result;
+  const files = `${checked} ticket ${checked === 1 ? 'file' : 'files'}`;
+  if (problems.length) {
+    console.log(`\n${problems.length} problem${problems.length === 1 ? '' : 's'} in ${files}`);
+  } else {
+    console.log(`${files} OK`);
+  }
+  return problems.length === 0;
 }
 
-// --- formatting ---
-
-function formatPR(pr) {
-  if (!pr) return null;
-  return pr;
+function writeOutput(file, text) {
+  try {
+    fs.writeFileSync(file, text + '\n', 'utf8');
+  } catch (err) {
+    throw new BoardError(`cannot write ${file}: ${err.code || err.message}`);
+  }
 }
 
-function useColor() {
-  if (forceColor !== null) return forceColor;
-  if (process.env.FORCE_COLOR) return true;
-  if (process.env.NO_COLOR !== undefined) return false;
-  return process.stdout.isTTY === true;
+function reportError(err) {
+  if (!(err instanceof BoardError)) throw err;
+  console.error(`Error: ${err.message}`);
+  if (err.input !== undefined) {
+    console.error(`  ${err.input}`);
+    console.error(`  ${' '.repeat(err.position)}^`);
+  }
+  process.exit(1);
 }
 
-const colors = {
-  bold: (s) => useColor() ? `\x1b[1m${s}\x1b[0m` : s,
-  red: (s) => useColor() ? `\x1b[31m${s}\x1b[0m` : s,
-  dim: (s) => useColor() ? `\x1b[2m${s}\x1b[0m` : s,
-  cyan: (s) => useColor() ? `\x1b[36m${s}\x1b[0m` : s,
-  green: (s) => useColor() ? `\x1b[32m${s}\x1b[0m` : s,
-  blueUnderline: (s) => useColor() ? `\x1b[34;4m${s}\x1b[0m` : s,
-};
-
-function colorPriority(p) {
-  const label = `P${p}`;
-  if (p <= 1) return colors.red(label);
-  if (p === 2) return label;
-  return colors.dim(label);
+function describeRevision({ spec, rev, date }) {
+  return `${spec} (${rev.slice(0, 8)}, ${date.toISOString().slice(0, 16).replace('T', ' ')})`;
 }
 
-function renderCard(ticket, colWidth) {
+// The terminal board for --at and --diff-from: a line naming the snapshot,
+// the cards marked with their changes and a summary of what changed.
+function renderHistoricBoard(board, snapshot, opts, { ticketsDir, boardOptions, color, hyperlinks }) {
+  const colors = createColors(color);
   const lines = [];
-  const maxTextWidth = colWidth - 1;
-
-  // Line 1: ID and priority
-  const line1 = `${ticket.id}  ${colorPriority(ticket.priority)}`;
-  lines.push(line1);
-
-  // Line 2: Title (truncated)
-  const title = ticket.title.length > maxTextWidth
-    ? ticket.title.slice(0, maxTextWidth - 1) + '\u2026'
-    : ticket.title;
-  lines.push(title);
-
-  // Line 3: Assignee and tags
-  const parts = [];
-  if (ticket.assignee) parts.push(colors.green(`@${ticket.assignee}`));
-  for (const tag of ticket.tags) parts.push(colors.cyan(`#${tag}`));
-  if (parts.length) lines.push(parts.join('  '));
-
-  // Line 4: PR link (if present) — truncated to column width, still clickable if fits
-  const pr = formatPR(ticket.pr);
-  if (pr) {
-    const display = pr.length > maxTextWidth
-      ? pr.slice(0, maxTextWidth - 1) + '\u2026'
-      : pr;
-    lines.push(colors.blueUnderline(display));
-  }
-
-  return lines;
-}
+  if (snapshot) lines.push(colors.dim(`Board as of ${describeRevision(snapshot)}`), '');
+
+  let decorate;
+  let summary = null;
+  if (opts.diffFrom !== null) {
+    const base = resolveRevision(ticketsDir, opts.diffFrom);
+    const changes = boardChanges(board, buildBoard(loadTicketsAt(ticketsDir, base.rev), boardOptions));
+    decorate = changeDecorator(changes.changes, { color });
+    summary = `Since ${describeRevision(base)}: ${summarizeChanges(changes)}`;
+  }
 
-// Strip ANSI codes for width measurement
-function stripAnsi(s) {
-  return s.replace(/\x1b\[[0-9;]*m/g, '');
+  lines.push(renderBoard(board, { width: terminalWidth(), color, hyperlinks, decorate }));
+  if (summary) lines.push('', colors.dim(summary));
+  return lines.join('\n');
 }
 
-function padRight(s, width) {
-  const visible = stripAnsi(s).length;
-  const pad = Math.max(0, width - visible);
-  return s + ' '.repeat(pad);
+// --- actions ---
+
+function runAction(opts, config, tickets) {
+  const [id, ...rest] = opts.commandArgs;
+  const ticket = findTicket(tickets, id);
+  const edit = opts.command === 'move' ? planMove(ticket, rest[0], config)
+    : opts.command === 'assign' ? planAssign(ticket, rest[0], config)
+      : planTag(ticket, rest);
+  if (opts.dryRun) {
+    console.log(editDiff(edit, path.relative(process.cwd(), edit.file) || edit.file) || edit.summary);
+    return;
+  }
+  applyEdit(edit);
+  console.log(edit.summary);
 }
 
 // --- main ---
 
-const allTickets = loadAllTickets();
-const filtered = applyFilters(allTickets);
-
-// Group by status
-const columns = [
-  { key: 'open', label: 'OPEN', tickets: [] },
-  { key: 'in_progress', label: 'IN PROGRESS', tickets: [] },
-];
-if (showClosed) {
-  columns.push({ key: 'closed', label: 'CLOSED', tickets: [] });
+// The projects named by --workspace or --dir, or null when neither is given
+function resolveProjects(opts) {
+  if (opts.workspace !== null) return loadWorkspace(opts.workspace);
+  return opts.dirs.length ? projectsFromDirs(opts.dirs) : null;
 }
 
-for (const ticket of filtered) {
-  const col = columns.find(c => c.key === ticket.status);
-  if (col) col.tickets.push(ticket);
-}
+async function main() {
+  const cliOpts = parseArgs(args);
+  const resolved = resolveProjects(cliOpts);
+  // A merged board takes its board.json from the first project; a single
+  // --dir is just another tickets directory
+  const ticketsDir = resolved ? resolved[0].dir : findTicketsDir();
+  const projects = resolved && (cliOpts.workspace !== null || resolved.length > 1) ? resolved : null;
+  const config = loadBoardConfig(ticketsDir);
+
+  if (cliOpts.listViews) {
+    printViews(config, ticketsDir);
+    return;
+  }
 
-// Sort each column by priority (P0 first)
-for (const col of columns) {
-  col.tickets.sort((a, b) => a.priority - b.priority);
-}
+  // Options given on the command line, with any --view layered underneath
+  const opts = applyView(cliOpts, config);
+  validateOptions(opts);
 
-// Calculate column widths
-const termWidth = process.stdout.columns || process.stderr.columns || parseInt(process.env.COLUMNS, 10) || 80;
-const numCols = columns.length;
-const gap = 2;
-const colWidth = Math.floor((termWidth - gap * (numCols - 1)) / numCols);
-
-// Render headers
-const separator = '\u2500'.repeat(colWidth);
-const headerLine = columns.map(c => padRight(colors.bold(c.label), colWidth)).join(' '.repeat(gap));
-const sepLine = columns.map(() => separator).join(' '.repeat(gap));
-
-console.log(headerLine);
-console.log(sepLine);
-
-// Render cards - build card lines for each column, then interleave
-const columnCards = columns.map(col => {
-  const cardBlocks = [];
-  for (const ticket of col.tickets) {
-    const lines = renderCard(ticket, colWidth);
-    cardBlocks.push(lines);
-  }
-  return cardBlocks;
-});
-
-// Find max number of cards across columns
-const maxCards = Math.max(...columnCards.map(c => c.length), 0);
-
-for (let cardIdx = 0; cardIdx < maxCards; cardIdx++) {
-  // Find the max lines for this card row
-  let maxLines = 0;
-  for (const col of columnCards) {
-    if (cardIdx < col.length) {
-      maxLines = Math.max(maxLines, col[cardIdx].length);
-    }
+  if (opts.lint) {
+    process.exit(reportLint(projects ? projects.map(p => p.dir) : [ticketsDir], config) ? 0 : 1);
+  }
+
+  // How ticket files are read: through the parse cache unless --no-cache, and
+  // from subdirectories too when board.json sets "recursive"
+  const loadOptions = { cache: opts.cache, recursive: config.recursive };
+  const readFiles = () => (projects ? loadProjectTickets(projects, loadOptions) : loadTickets(ticketsDir, loadOptions));
+  const readFilesAsync = () => (projects ? loadProjectTicketsAsync(projects, loadOptions) : loadTicketsAsync(ticketsDir, loadOptions));
+
+  if (ACTIONS.includes(opts.command)) {
+    runAction(opts, config, readFiles());
+    return;
   }
 
-  for (let lineIdx = 0; lineIdx < maxLines; lineIdx++) {
-    const row = columns.map((_, colIdx) => {
-      const cards = columnCards[colIdx];
-      if (cardIdx < cards.length && lineIdx < cards[cardIdx].length) {
-        return padRight(cards[cardIdx][lineIdx], colWidth);
-      }
-      return ' '.repeat(colWidth);
+  const renderConfig = { ...config };
+  if (opts.theme !== null) renderConfig.theme = resolveTheme(opts.theme);
+  if (opts.wrap !== null) renderConfig.wrap = opts.wrap;
+  if (opts.limit !== undefined) {
+    renderConfig.limit = opts.limit;
+    if (opts.limit === null) renderConfig.closedLimit = null;
+  }
+
+  const boardOptions = {
+    ticketsDir: projects ? null : ticketsDir,
+    projects,
+    config: renderConfig,
+    filters: {
+      query: opts.queries,
+      assignee: opts.me ? resolveMe(config) : opts.assignee,
+      tag: opts.tag,
+      project: opts.projects,
+      ready: opts.ready,
+      stale: opts.stale,
+      epic: opts.epic,
+    },
+    columns: opts.columns,
+    sort: opts.sort,
+    showClosed: opts.showClosed,
+    allColumns: opts.allColumns,
+    swimlanes: opts.swimlanes,
+    collapseChildren: opts.collapseChildren,
+    cache: opts.cache,
+  };
+  // Files only get colors when asked for explicitly
+  const color = opts.output !== null ? opts.color === true : useColor(opts);
+  const hyperlinks = useHyperlinks(opts, color);
+  // Looks up the state of each ticket's pull request when board.json asks for it
+  let prStatus = opts.prStatus ? config.prStatus : null;
+  if (prStatus && !commandAllowed(prStatus)) {
+    console.error(`Warning: not running prStatus.command from board.json; set TK_ALLOW_PR_COMMAND='${prStatus.command.join(' ')}' to allow it`);
+    prStatus = null;
+  }
+  const withPRStatus = (tickets) => (prStatus ? attachPRStatus(tickets, prStatus) : tickets);
+
+  if (opts.command === 'serve') {
+    // Re-read board.json on every request too, so config edits show up on
+    // reload. Whether to look up PR states is settled at startup, with the
+    // TK_ALLOW_PR_COMMAND check.
+    const load = () => {
+      const served = loadBoardConfig(ticketsDir);
+      const files = { ...loadOptions, recursive: served.recursive };
+      const tickets = projects ? loadProjectTickets(projects, files) : loadTickets(ticketsDir, files);
+      return buildBoard(withPRStatus(tickets), { ...boardOptions, config: served });
+    };
+    for (const warning of load().warnings) {
+      console.error(`Warning: ${warning}`);
+    }
+    const server = await serveBoard({ ticketsDir, load, port: opts.port, recursive: config.recursive });
+    console.log(`Serving ${ticketsDir} at http://localhost:${server.address().port}/ (ctrl-c to quit)`);
+    return;
+  }
+  const readTickets = () => withPRStatus(readFiles());
+  if (opts.interactive) {
+    runInteractive({ color, hyperlinks, load: () => buildBoard(readTickets(), boardOptions) });
+    return;
+  }
+  if (opts.watch) {
+    // Build once up front so a bad query or column fails before the screen is taken over
+    buildBoard([], boardOptions);
+    runWatch({
+      ticketsDir,
+      ...loadOptions,
+      color,
+      hyperlinks,
+      width: terminalWidth,
+      annotate: withPRStatus,
+      build: (tickets) => buildBoard(tickets, boardOptions),
     });
-    console.log(row.join(' '.repeat(gap)));
+    return;
+  }
+
+  const snapshot = opts.at !== null ? resolveRevision(ticketsDir, opts.at) : null;
+  const board = snapshot
+    ? buildBoard(withPRStatus(loadTicketsAt(ticketsDir, snapshot.rev)), { ...boardOptions, now: snapshot.date.getTime() })
+    : buildBoard(withPRStatus(await readFilesAsync()), boardOptions);
+  for (const warning of board.warnings) {
+    console.error(`Warning: ${warning}`);
+  }
+  if (opts.checkWip) {
+    process.exit(reportWip(board.columns) ? 0 : 1);
+  }
+  if (opts.checkStale) {
+    process.exit(reportStale(board.columns, board.config) ? 0 : 1);
   }
 
-  // Blank line between cards
-  if (cardIdx < maxCards - 1) {
-    console.log('');
+  let output;
+  if (opts.command === 'stats') {
+    const stats = computeStats(board, loadStatusHistory(ticketsDir), { weeks: opts.weeks });
+    output = opts.format === 'json'
+      ? JSON.stringify(stats, null, 2)
+      : renderStats(stats, { width: terminalWidth(), color });
+  } else if (opts.format === 'board' && (snapshot || opts.diffFrom !== null)) {
+    output = renderHistoricBoard(board, snapshot, opts, { ticketsDir, boardOptions, color, hyperlinks });
+  } else {
+    output = formatBoard(board, opts.format, { width: terminalWidth(), color, hyperlinks });
+  }
+  if (opts.output !== null) {
+    writeOutput(opts.output, output);
+  } else {
+    console.log(output);
   }
 }
+
+main().catch(reportError);
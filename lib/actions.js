@@ -0,0 +1,122 @@
+'use strict';
+
+const fs = require('fs');
+const { BoardError } = require('./errors');
+const { editTicketField } = require('./tickets');
+const { canonicalName } = require('./identity');
+
+// Quick edits from the command line: `move`, `assign` and `tag`. Each plans
+// an edit { file, before, after, summary } that is then written with
+// applyEdit() or shown with editDiff().
+
+// --- finding tickets ---
+
+// Find a ticket the way tk does: an exact ID wins, otherwise the one ticket
+// whose ID contains `fragment`
+function findTicket(tickets, fragment) {
+  const exact = tickets.find(t => t.id === fragment);
+  if (exact) return exact;
+  const matches = tickets.filter(t => t.id.includes(fragment));
+  if (!matches.length) throw new BoardError(`ticket '${fragment}' not found`);
+  if (matches.length > 1) {
+    throw new BoardError(`ambiguous ID '${fragment}' matches ${matches.map(t => t.id).sort().join(', ')}`);
+  }
+  return matches[0];
+}
+
+// --- edits ---
+
+// An edit that leaves the file alone
+function noEdit(ticket) {
+  return { file: ticket.file, before: null, after: null, summary: `${ticket.id}: nothing to change` };
+}
+
+// `status` may also be a column key, which moves the ticket to the column's
+// first status
+function planMove(ticket, status, config) {
+  const column = config.columns.find(c => c.key === status && c.statuses.length);
+  const target = config.columns.some(c => c.statuses.includes(status)) ? status : column && column.statuses[0];
+  if (!target) {
+    const known = [...new Set(config.columns.flatMap(c => c.statuses))];
+    throw new BoardError(`Unknown status: ${status} (expected one of: ${known.join(', ')})`);
+  }
+  if (target === ticket.status) return noEdit(ticket);
+  return {
+    ...editTicketField(ticket, 'status', target),
+    summary: `${ticket.id}: status ${ticket.status} → ${target}`,
+  };
+}
+
+// `-` removes the assignee; other names are resolved through the aliases
+function planAssign(ticket, name, config) {
+  const assignee = name === '-' ? null : canonicalName(config.aliases, name);
+  if (assignee === ticket.assignee) return noEdit(ticket);
+  return {
+    ...editTicketField(ticket, 'assignee', assignee),
+    summary: `${ticket.id}: assignee ${ticket.assignee || '(none)'} → ${assignee || '(none)'}`,
+  };
+}
+
+// `changes` are `+tag` to add, `-tag` to remove and a bare `tag` to add
+function planTag(ticket, changes) {
+  const tags = [...ticket.tags];
+  for (const change of changes) {
+    const tag = change.replace(/^[+-]/, '');
+    if (!tag || /[\s,]/.test(tag)) throw new BoardError(`invalid tag change "${change}" (expected +tag or -tag)`);
+    const at = tags.indexOf(tag);
+    if (change[0] === '-' && at !== -1) tags.splice(at, 1);
+    if (change[0] !== '-' && at === -1) tags.push(tag);
+  }
+  if (tags.join(',') === ticket.tags.join(',')) return noEdit(ticket);
+  return {
+    ...editTicketField(ticket, 'tags', tags),
+    summary: `${ticket.id}: tags ${tags.length ? tags.map(t => `#${t}`).join(' ') : '(none)'}`,
+  };
+}
+
+function applyEdit(edit) {
+  if (edit.after === edit.before) return;
+  try {
+    fs.writeFileSync(edit.file, edit.after, 'utf8');
+  } catch (err) {
+    throw new BoardError(`cannot write ${edit.file}: ${err.code || err.message}`);
+  }
+}
+
+// --- diffs ---
+
+// The edit as a unified diff. Edits touch one field, so a single hunk around
+// the changed lines covers it.
+function editDiff(edit, label = edit.file) {
+  if (edit.after === edit.before) return '';
+  const a = edit.before.replace(/\n$/, '').split('\n');
+  const b = edit.after.replace(/\n$/, '').split('\n');
+  let head = 0;
+  while (head < a.length && head < b.length && a[head] === b[head]) head++;
+  let tail = 0;
+  while (tail < a.length - head && tail < b.length - head && a[a.length - 1 - tail] === b[b.length - 1 - tail]) tail++;
+
+  const context = 3;
+  const from = Math.max(0, head - context);
+  const aEnd = Math.min(a.length, a.length - tail + context);
+  const bEnd = Math.min(b.length, b.length - tail + context);
+  const lines = [
+    `--- a/${label}`,
+    `+++ b/${label}`,
+    `@@ -${from + 1},${aEnd - from} +${from + 1},${bEnd - from} @@`,
+    ...a.slice(from, head).map(l => ` ${l}`),
+    ...a.slice(head, a.length - tail).map(l => `-${l}`),
+    ...b.slice(head, b.length - tail).map(l => `+${l}`),
+    ...a.slice(a.length - tail, aEnd).map(l => ` ${l}`),
+  ];
+  return lines.join('\n');
+}
+
+module.exports = {
+  findTicket,
+  planMove,
+  planAssign,
+  planTag,
+  applyEdit,
+  editDiff,
+};
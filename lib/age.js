@@ -0,0 +1,52 @@
+'use strict';
+
+// How long tickets have gone untouched, and which have sat too long in their
+// column.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function timeOf(value) {
+  const time = typeof value === 'string' && value ? Date.parse(value) : NaN;
+  return isNaN(time) ? null : time;
+}
+
+// When a ticket last changed: its `updated:` date, else the later of its
+// `created:` date and the modification time of its file (tk never writes
+// `updated:`, so moving a ticket only shows in the mtime). Null when none is
+// known.
+function lastActivity(ticket) {
+  const updated = timeOf(ticket.updated);
+  if (updated !== null) return updated;
+  const times = [timeOf(ticket.created), timeOf(ticket.mtime)].filter(time => time !== null);
+  return times.length ? Math.max(...times) : null;
+}
+
+// Whole days since lastActivity(), or null
+function ticketAge(ticket, now = Date.now()) {
+  const since = lastActivity(ticket);
+  return since === null ? null : Math.max(0, Math.floor((now - since) / DAY_MS));
+}
+
+// Days a ticket with this status may go untouched: the `staleAfter` of the
+// column that collects the status, else the board's. Null means never;
+// closed tickets are never stale.
+function staleAfter(config, status) {
+  if (status === 'closed') return null;
+  const column = config.columns.find(c => c.statuses.includes(status));
+  return column ? column.staleAfter : config.staleAfter;
+}
+
+// Copies of the tickets with their `age` in days and whether they are `stale`
+function withAge(tickets, config, now = Date.now()) {
+  return tickets.map(t => {
+    const age = ticketAge(t, now);
+    const limit = staleAfter(config, t.status);
+    return { ...t, age, stale: age !== null && limit !== null && age > limit };
+  });
+}
+
+module.exports = {
+  ticketAge,
+  staleAfter,
+  withAge,
+};
@@ -0,0 +1,247 @@
+'use strict';
+
+const { BoardError } = require('./errors');
+const { findTicketsDir, loadTickets } = require('./tickets');
+const { loadBoardConfig, normalizeConfig } = require('./config');
+const { withDependencies, dependencyWarnings } = require('./deps');
+const { applyFilters } = require('./query');
+const { loadProjectTickets } = require('./projects');
+const { DEFAULT_SORT, closedTime, parseSort, sortTickets } = require('./sort');
+const { canonicalName, withAliases } = require('./identity');
+const { withAge } = require('./age');
+const { collapseChildren, epicSubtree, parentWarnings, withChildren } = require('./epics');
+
+const SWIMLANE_KEYS = ['assignee', 'tag', 'priority', 'parent', 'project'];
+
+// --- columns ---
+
+function isKnownStatus(config, status) {
+  return config.columns.some(c => c.statuses.includes(status));
+}
+
+// Tickets whose status no configured column claims. Unless the config asks
+// for warnings instead, they are collected in a trailing OTHER column.
+function unknownStatusTickets(tickets, config) {
+  return tickets.filter(t => !isKnownStatus(config, t.status));
+}
+
+// Key of the column that collects unknown statuses (`unknownStatus: "column"`)
+const OTHER_COLUMN = 'other';
+
+// Group tickets into the configured columns. `options.columns` restricts the
+// board to those column keys; otherwise hidden columns are left out unless
+// `options.allColumns` is set. `showClosed: false` drops columns that collect
+// the closed status. Each column is sorted by `options.sort`, else its own
+// `sort`, else the board's.
+function buildColumns(tickets, config, options = {}) {
+  const showClosed = options.showClosed !== false;
+  const columns = config.columns
+    .filter(c => (options.columns ? options.columns.includes(c.key) : options.allColumns || !c.hidden))
+    .filter(c => showClosed || !c.statuses.includes('closed'))
+    .map(c => ({ key: c.key, label: c.label, statuses: c.statuses, wip: c.wip, tickets: [] }));
+
+  for (const ticket of tickets) {
+    const col = columns.find(c => c.statuses.includes(ticket.status));
+    if (col) col.tickets.push(ticket);
+  }
+
+  // Among picked columns, OTHER only shows when it is picked too
+  const unknown = unknownStatusTickets(tickets, config);
+  const wantOther = !options.columns || options.columns.includes(OTHER_COLUMN);
+  if (unknown.length && config.unknownStatus === 'column' && wantOther) {
+    columns.push({ key: OTHER_COLUMN, label: 'OTHER', statuses: [], wip: null, tickets: unknown });
+  }
+
+  const sort = typeof options.sort === 'string' ? parseSort(options.sort) : null;
+  for (const col of columns) {
+    const configured = config.columns.find(c => c.key === col.key);
+    sortTickets(col.tickets, sort || (configured && configured.sort) || config.sort || parseSort(DEFAULT_SORT));
+  }
+
+  return columns;
+}
+
+// --- swimlanes ---
+
+// Split tickets into horizontal lanes. A ticket with several tags appears in
+// each of its tag lanes; tickets without a value for the key share a final
+// catch-all lane. `allTickets` is used to look up parent titles.
+function groupSwimlanes(tickets, by, allTickets) {
+  const lanes = new Map();
+  const rest = { key: null, label: `(no ${by})`, tickets: [] };
+
+  function add(key, label, ticket) {
+    if (!lanes.has(key)) lanes.set(key, { key, label, tickets: [] });
+    lanes.get(key).tickets.push(ticket);
+  }
+
+  for (const t of tickets) {
+    if (by === 'assignee') {
+      if (t.assignee) add(t.assignee.toLowerCase(), `@${t.assignee}`, t);
+      else rest.tickets.push(t);
+    } else if (by === 'tag') {
+      if (!t.tags.length) rest.tickets.push(t);
+      for (const tag of t.tags) add(tag.toLowerCase(), `#${tag}`, t);
+    } else if (by === 'priority') {
+      add(t.priority, `P${t.priority}`, t);
+    } else if (by === 'project') {
+      if (t.project) add(t.project, t.project, t);
+      else rest.tickets.push(t);
+    } else if (by === 'parent') {
+      if (!t.parent) {
+        rest.tickets.push(t);
+        continue;
+      }
+      const parent = allTickets.find(p => p.id === t.parent);
+      add(t.parent, parent ? `${t.parent}: ${parent.title}` : t.parent, t);
+    }
+  }
+
+  const sorted = [...lanes.values()].sort((a, b) =>
+    by === 'priority' ? a.key - b.key : String(a.key).localeCompare(String(b.key)));
+  if (rest.tickets.length) sorted.push(rest);
+  return sorted;
+}
+
+// The board's columns restricted to one lane's tickets. Deriving them from
+// the full board keeps every lane on the same column grid.
+function laneColumns(columns, lane) {
+  const members = new Set(lane.tickets);
+  return columns.map(c => ({ ...c, tickets: c.tickets.filter(t => members.has(t)) }));
+}
+
+// --- card limits ---
+
+// Cap the number of cards per column: `limit` applies to every column, and
+// columns that collect `closed` default to `closedLimit`. Open columns keep
+// their first cards, closed ones their most recently closed tickets, both in
+// column order. Each column gets a `more` count of the cards left out.
+function limitColumns(columns, { limit = null, closedLimit = null } = {}) {
+  return columns.map(col => {
+    const closed = col.statuses.includes('closed');
+    const cap = limit !== null ? limit : closed ? closedLimit : null;
+    if (cap === null || col.tickets.length <= cap) return { ...col, more: 0 };
+    let kept = col.tickets.slice(0, cap);
+    if (closed) {
+      const times = new Map(col.tickets.map(t => [t, closedTime(t)]));
+      const recent = new Set([...col.tickets].sort((a, b) => times.get(b) - times.get(a)).slice(0, cap));
+      kept = col.tickets.filter(t => recent.has(t));
+    }
+    return { ...col, tickets: kept, more: col.tickets.length - kept.length };
+  });
+}
+
+// --- WIP limits ---
+
+function wipViolations(columns) {
+  const violations = [];
+  for (const col of columns) {
+    if (!col.wip) continue;
+    const { total, perAssignee } = col.wip;
+    if (total !== null && col.tickets.length > total) {
+      violations.push({ column: col.label, assignee: null, count: col.tickets.length, limit: total });
+    }
+    if (perAssignee !== null) {
+      const counts = new Map();
+      for (const t of col.tickets) {
+        if (t.assignee) counts.set(t.assignee, (counts.get(t.assignee) || 0) + 1);
+      }
+      for (const [assignee, count] of counts) {
+        if (count > perAssignee) violations.push({ column: col.label, assignee, count, limit: perAssignee });
+      }
+    }
+  }
+  return violations;
+}
+
+// --- board ---
+
+// Build a board from already-loaded tickets and a normalized config. Used by
+// loadBoard() and by watch mode, which keeps its own ticket cache.
+function buildBoard(allTickets, options = {}) {
+  const config = options.config || normalizeConfig();
+  if (options.columns) {
+    for (const key of options.columns) {
+      if (!config.columns.some(c => c.key === key) && !(key === OTHER_COLUMN && config.unknownStatus === 'column')) {
+        throw new BoardError(`Unknown column: ${key} (expected one of: ${config.columns.map(c => c.key).join(', ')})`);
+      }
+    }
+  }
+  if (options.swimlanes && !SWIMLANE_KEYS.includes(options.swimlanes)) {
+    throw new BoardError(`Unknown swimlane key: ${options.swimlanes} (expected one of: ${SWIMLANE_KEYS.join(', ')})`);
+  }
+
+  // Assignees are shown, filtered and grouped as the person their alias names
+  const tickets = withChildren(withAge(withDependencies(withAliases(allTickets, config.aliases)), config, options.now));
+  const epic = options.filters && options.filters.epic;
+  let filtered = applyFilters(epic ? epicSubtree(tickets, epic) : tickets, options.filters, {
+    resolveName: name => canonicalName(config.aliases, name),
+  });
+  if (options.collapseChildren) filtered = collapseChildren(filtered);
+  const columns = buildColumns(filtered, config, options);
+  if (!columns.length) throw new BoardError('no columns to show');
+  const lanes = options.swimlanes ? groupSwimlanes(filtered, options.swimlanes, tickets) : null;
+
+  const warnings = dependencyWarnings(tickets).concat(parentWarnings(tickets));
+  if (epic && !tickets.some(t => t.id === epic)) warnings.push(`epic ${epic} does not exist`);
+  if (config.unknownStatus === 'warn') {
+    for (const t of unknownStatusTickets(filtered, config)) {
+      warnings.push(`${t.id} has unknown status "${t.status}" and is not shown`);
+    }
+  }
+
+  return {
+    ticketsDir: options.ticketsDir || null,
+    projects: options.projects || null,
+    config,
+    swimlanes: options.swimlanes || null,
+    tickets,
+    columns,
+    lanes,
+    warnings,
+  };
+}
+
+// Load and group the tickets of a .tickets directory, or of several projects.
+//
+//   ticketsDir   defaults to TICKETS_DIR or the nearest .tickets above cwd
+//   projects     [{ name, dir }] to merge instead, see loadProjectTickets()
+//   config       board.json contents; read from ticketsDir (or the first
+//                project's directory) when omitted
+//   filters      { query, assignee, tag, project, ready, stale }, see
+//                compileFilters(), plus `epic` to keep one epic's subtree
+//   columns      column keys to show; showClosed, allColumns as in the CLI
+//   collapseChildren  leave out tickets whose parent is on the board
+//   swimlanes    'assignee', 'tag', 'priority', 'parent' or 'project'
+//   now          the time tickets are aged against (default: now)
+//   cache        reuse tickets parsed by earlier runs, see loadTickets()
+//
+// Returns { ticketsDir, projects, config, swimlanes, tickets, columns, lanes,
+// warnings }; problems are thrown as BoardError.
+function loadBoard(options = {}) {
+  if (options.projects) {
+    const config = options.config
+      ? normalizeConfig(options.config)
+      : loadBoardConfig(options.projects[0].dir);
+    const tickets = loadProjectTickets(options.projects, { cache: options.cache === true, recursive: config.recursive });
+    return buildBoard(tickets, { ...options, ticketsDir: null, config });
+  }
+  const ticketsDir = options.ticketsDir || findTicketsDir({ cwd: options.cwd });
+  const config = options.config
+    ? normalizeConfig(options.config)
+    : loadBoardConfig(ticketsDir);
+  const tickets = loadTickets(ticketsDir, { cache: options.cache === true, recursive: config.recursive });
+  return buildBoard(tickets, { ...options, ticketsDir, config });
+}
+
+module.exports = {
+  SWIMLANE_KEYS,
+  isKnownStatus,
+  buildColumns,
+  groupSwimlanes,
+  laneColumns,
+  limitColumns,
+  wipViolations,
+  buildBoard,
+  loadBoard,
+};
@@ -0,0 +1,30 @@
+'use strict';
+
+// JSON files that only save work, like the parsed-ticket and PR status
+// caches: reading one that is missing or corrupt gives `fallback`, and
+// failing to write one is not an error.
+
+const fs = require('fs');
+const path = require('path');
+
+function readJSONCache(file, fallback = {}) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return fallback;
+  }
+}
+
+// Written to a temporary file first so a concurrent reader never sees half
+// a file
+function writeJSONCache(file, data) {
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(data), 'utf8');
+    fs.renameSync(`${file}.tmp`, file);
+  } catch {
+    // ignore
+  }
+}
+
+module.exports = { readJSONCache, writeJSONCache };
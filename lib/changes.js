@@ -0,0 +1,68 @@
+'use strict';
+
+const { createColors } = require('./render');
+
+function columnOf(config, status) {
+  const col = config.columns.find(c => c.statuses.includes(status));
+  return col || { key: 'other', label: 'OTHER', statuses: [] };
+}
+
+function shownTickets(board) {
+  return board.columns.flatMap(c => c.tickets);
+}
+
+// Compare a board with the same board built from earlier tickets (see
+// loadTicketsAt()). Returns a Map of ticket id -> { type, from } for the
+// shown cards that were `added`, `moved` to another column or `closed`
+// since, and the ids of previously shown tickets that no longer exist.
+function boardChanges(board, previousBoard) {
+  const previous = new Map(previousBoard.tickets.map(t => [t.id, t]));
+  const changes = new Map();
+
+  for (const ticket of shownTickets(board)) {
+    const before = previous.get(ticket.id);
+    if (!before) {
+      changes.set(ticket.id, { type: 'added', from: null });
+      continue;
+    }
+    const from = columnOf(board.config, before.status);
+    const to = columnOf(board.config, ticket.status);
+    if (from.key === to.key) continue;
+    const closed = to.statuses.includes('closed') && !from.statuses.includes('closed');
+    changes.set(ticket.id, { type: closed ? 'closed' : 'moved', from: from.label });
+  }
+
+  const current = new Set(board.tickets.map(t => t.id));
+  const removed = shownTickets(previousBoard).filter(t => !current.has(t.id)).map(t => t.id).sort();
+  return { changes, removed };
+}
+
+// A renderBoard() decorator that adds a line saying how each changed card
+// differs from the earlier board.
+function changeDecorator(changes, options = {}) {
+  const colors = createColors(options.color);
+  const markers = {
+    added: () => colors.green('+ new'),
+    moved: (from) => colors.cyan(`\u21aa from ${from}`),
+    closed: () => colors.dim('\u2713 closed'),
+  };
+  return (card, ticket) => {
+    const change = changes.get(ticket.id);
+    return change ? card.concat(markers[change.type](change.from)) : card;
+  };
+}
+
+// One-line summary such as "2 added, 1 moved, 1 closed, 1 removed (ab-12)".
+function summarizeChanges({ changes, removed }) {
+  const counts = { added: 0, moved: 0, closed: 0 };
+  for (const change of changes.values()) counts[change.type]++;
+  const parts = Object.entries(counts).map(([type, n]) => `${n} ${type}`);
+  parts.push(`${removed.length} removed${removed.length ? ` (${removed.join(', ')})` : ''}`);
+  return parts.join(', ');
+}
+
+module.exports = {
+  boardChanges,
+  changeDecorator,
+  summarizeChanges,
+};
@@ -0,0 +1,298 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { BoardError } = require('./errors');
+const { parseStyle, resolveTheme } = require('./theme');
+const { DEFAULT_SORT, parseSort } = require('./sort');
+const { parseAliases } = require('./identity');
+const { PROVIDER_NAMES } = require('./pr');
+
+// Per-repo settings live in .tickets/board.json. Everything is optional; a
+// missing file gives the stock open / in progress / closed board.
+const BOARD_CONFIG_FILE = 'board.json';
+
+const DEFAULT_COLUMNS = [
+  { key: 'open', label: 'OPEN', statuses: ['open'], hidden: false, wip: null, sort: null },
+  { key: 'in_progress', label: 'IN PROGRESS', statuses: ['in_progress'], hidden: false, wip: null, sort: null },
+  { key: 'closed', label: 'CLOSED', statuses: ['closed'], hidden: false, wip: null, sort: null },
+];
+
+// Fields shown on a card, one template line per card line. A line lists
+// field names, each optionally capped to a width (`title:30`); the values are
+// joined with two spaces and a line whose fields are all empty is dropped.
+const DEFAULT_CARD_TEMPLATE = ['id priority age', 'title', 'progress', 'assignee tags', 'pr', 'deps'];
+
+// Parse card template lines into [[{ field, width }]]. Throws an Error
+// describing the first bad entry.
+function parseCardTemplate(lines) {
+  if (!Array.isArray(lines) || !lines.length || !lines.every(l => typeof l === 'string')) {
+    throw new Error('must be a non-empty array of strings');
+  }
+  return lines.map((line, idx) => line.trim().split(/\s+/).filter(Boolean).map(spec => {
+    const match = spec.match(/^([\w-]+)(?::(\d+))?$/);
+    if (!match || match[2] === '0') {
+      throw new Error(`[${idx}]: "${spec}" is not a field name or field:width`);
+    }
+    return { field: match[1], width: match[2] ? Number(match[2]) : null };
+  }));
+}
+
+const DEFAULT_CARD = parseCardTemplate(DEFAULT_CARD_TEMPLATE);
+
+// Closed columns show this many of their most recently closed tickets
+const DEFAULT_CLOSED_LIMIT = 10;
+
+// How long a looked-up PR status is trusted, in seconds
+const DEFAULT_PR_STATUS_TTL = 300;
+
+// Days a ticket can go untouched before it is stale
+const DEFAULT_STALE_AFTER = 14;
+
+// How each view setting maps onto command-line arguments. A view is just a
+// stored argument list, so explicit flags given after it win.
+const VIEW_SETTINGS = {
+  query: (v) => ['-q', v],
+  assignee: (v) => ['-a', v],
+  tag: (v) => ['-T', v],
+  project: (v) => [].concat(v).flatMap(name => ['--project', name]),
+  me: (v) => (v ? ['--me'] : []),
+  ready: (v) => (v ? ['--ready'] : []),
+  stale: (v) => (v ? ['--stale'] : []),
+  epic: (v) => ['--epic', v],
+  collapseChildren: (v) => (v ? ['--collapse-children'] : []),
+  closed: (v) => [v ? '--closed' : '--no-closed'],
+  allColumns: (v) => (v ? ['--all-columns'] : []),
+  columns: (v) => ['--columns', [].concat(v).join(',')],
+  sort: (v) => ['--sort', [].concat(v).join(',')],
+  swimlanes: (v) => ['--swimlanes', v],
+  format: (v) => ['--format', v],
+  theme: (v) => ['--theme', v],
+  wrap: (v) => [v ? '--wrap' : '--no-wrap'],
+  limit: (v) => (v ? ['--limit', v] : ['--no-limit']),
+  args: (v) => [].concat(v),
+};
+
+function isLimit(n) {
+  return Number.isInteger(n) && n > 0;
+}
+
+// Validate a parsed board.json and fill in defaults. `source` names the file
+// in error messages.
+function normalizeConfig(raw = {}, source = BOARD_CONFIG_FILE) {
+  function configError(message) {
+    throw new BoardError(`${source}: ${message}`);
+  }
+
+  // `wip: 5` limits the whole column; `wip: { total: 5, perAssignee: 2 }`
+  // can also (or only) cap how many cards one person holds.
+  function normalizeWip(wip, idx) {
+    if (wip === undefined || wip === null) return null;
+    if (isLimit(wip)) return { total: wip, perAssignee: null };
+    const total = wip.total === undefined ? null : wip.total;
+    const perAssignee = wip.perAssignee === undefined ? null : wip.perAssignee;
+    if (typeof wip !== 'object' || (total !== null && !isLimit(total)) || (perAssignee !== null && !isLimit(perAssignee))) {
+      configError(`columns[${idx}].wip must be a positive integer or { total, perAssignee }`);
+    }
+    return { total, perAssignee };
+  }
+
+  function normalizeColumn(col, idx) {
+    if (!col || typeof col.key !== 'string' || !col.key) {
+      configError(`columns[${idx}] needs a "key"`);
+    }
+    const statuses = col.statuses === undefined ? [col.key] : col.statuses;
+    if (!Array.isArray(statuses) || !statuses.every(s => typeof s === 'string')) {
+      configError(`columns[${idx}].statuses must be an array of strings`);
+    }
+    return {
+      key: col.key,
+      label: col.label || col.key.toUpperCase().replace(/_/g, ' '),
+      statuses,
+      hidden: col.hidden === true,
+      wip: normalizeWip(col.wip, idx),
+      sort: col.sort === undefined ? null : normalizeSort(col.sort, `columns[${idx}].sort`),
+      staleAfter: columnStaleAfter({ ...col, statuses }, idx),
+    };
+  }
+
+  // A column without its own `staleAfter` uses the board's, except that
+  // closed tickets never go stale
+  function columnStaleAfter(col, idx) {
+    if (col.staleAfter === undefined) return col.statuses.includes('closed') ? null : staleAfter;
+    if (col.staleAfter !== null && !isLimit(col.staleAfter)) {
+      configError(`columns[${idx}].staleAfter must be a number of days or null`);
+    }
+    return col.staleAfter;
+  }
+
+  function normalizeSort(spec, key) {
+    try {
+      return parseSort(spec);
+    } catch (err) {
+      return configError(`${key}: ${err.message}`);
+    }
+  }
+
+  function normalizeView(name, view) {
+    if (!view || typeof view !== 'object' || Array.isArray(view)) {
+      configError(`views.${name} must be an object`);
+    }
+    const viewArgs = [];
+    for (const [key, value] of Object.entries(view)) {
+      if (key === 'description') continue;
+      if (!Object.prototype.hasOwnProperty.call(VIEW_SETTINGS, key)) {
+        configError(`views.${name}: unknown setting "${key}" (expected one of: description, ${Object.keys(VIEW_SETTINGS).join(', ')})`);
+      }
+      viewArgs.push(...VIEW_SETTINGS[key](value).map(String));
+    }
+    return { name, description: view.description || null, args: viewArgs };
+  }
+
+  if (raw.columns !== undefined && (!Array.isArray(raw.columns) || !raw.columns.length)) {
+    configError('"columns" must be a non-empty array');
+  }
+  const unknownStatus = raw.unknownStatus || 'column';
+  if (!['column', 'warn'].includes(unknownStatus)) {
+    configError('"unknownStatus" must be "column" or "warn"');
+  }
+
+  if (raw.views !== undefined && (!raw.views || typeof raw.views !== 'object' || Array.isArray(raw.views))) {
+    configError('"views" must be an object of named views');
+  }
+
+  let card = DEFAULT_CARD;
+  let wrap = false;
+  if (raw.card !== undefined) {
+    if (!raw.card || typeof raw.card !== 'object' || Array.isArray(raw.card)) {
+      configError('"card" must be an object such as { "lines": ["id priority", "title"] }');
+    }
+    if (raw.card.lines !== undefined) {
+      try {
+        card = parseCardTemplate(raw.card.lines);
+      } catch (err) {
+        configError(`card.lines${err.message.startsWith('[') ? '' : ' '}${err.message}`);
+      }
+    }
+    if (raw.card.wrap !== undefined && typeof raw.card.wrap !== 'boolean') {
+      configError('card.wrap must be true or false');
+    }
+    wrap = raw.card.wrap === true;
+  }
+
+  // null shows every card
+  function cardLimit(key, fallback) {
+    if (raw[key] === undefined) return fallback;
+    if (raw[key] !== null && !isLimit(raw[key])) configError(`"${key}" must be a positive integer or null`);
+    return raw[key];
+  }
+  const limit = cardLimit('limit', null);
+  const closedLimit = cardLimit('closedLimit', DEFAULT_CLOSED_LIMIT);
+
+  const staleAfter = raw.staleAfter === undefined ? DEFAULT_STALE_AFTER : raw.staleAfter;
+  if (staleAfter !== null && !isLimit(staleAfter)) configError('"staleAfter" must be a number of days or null');
+
+  let aliases = new Map();
+  if (raw.aliases !== undefined) {
+    try {
+      aliases = parseAliases(raw.aliases);
+    } catch (err) {
+      configError(err.message);
+    }
+  }
+  if (raw.me !== undefined && (typeof raw.me !== 'string' || !raw.me)) {
+    configError('"me" must be a name');
+  }
+  if (raw.meFromCwd !== undefined && typeof raw.meFromCwd !== 'boolean') {
+    configError('"meFromCwd" must be true or false');
+  }
+  if (raw.recursive !== undefined && typeof raw.recursive !== 'boolean') {
+    configError('"recursive" must be true or false');
+  }
+
+  // { "provider": "gh" } or { "command": ["my-pr-status", "--json"] }, which
+  // is a shorthand for { "provider": "command", "command": [...] }
+  function normalizePRStatus(settings) {
+    if (settings === undefined || settings === null) return null;
+    if (typeof settings !== 'object' || Array.isArray(settings)) {
+      configError('"prStatus" must be an object such as { "provider": "gh" }');
+    }
+    const provider = settings.provider || (settings.command !== undefined ? 'command' : 'gh');
+    if (!PROVIDER_NAMES.includes(provider)) {
+      configError(`prStatus.provider must be one of: ${PROVIDER_NAMES.join(', ')}`);
+    }
+    let command = null;
+    if (provider === 'command') {
+      command = typeof settings.command === 'string' ? settings.command.trim().split(/\s+/) : settings.command;
+      if (!Array.isArray(command) || !command.length || !command.every(s => typeof s === 'string' && s)) {
+        configError('prStatus.command must be a command line');
+      }
+    }
+    const ttl = settings.ttl === undefined ? DEFAULT_PR_STATUS_TTL : settings.ttl;
+    if (typeof ttl !== 'number' || !(ttl >= 0)) configError('prStatus.ttl must be a number of seconds');
+    return { provider, command, ttl };
+  }
+  const prStatus = normalizePRStatus(raw.prStatus);
+
+  let theme;
+  try {
+    theme = resolveTheme(raw.theme);
+  } catch (err) {
+    configError(err.message);
+  }
+
+  const tagColors = {};
+  if (raw.tagColors !== undefined && (!raw.tagColors || typeof raw.tagColors !== 'object' || Array.isArray(raw.tagColors))) {
+    configError('"tagColors" must be an object of tag -> style');
+  }
+  for (const [tag, style] of Object.entries(raw.tagColors || {})) {
+    try {
+      tagColors[tag] = parseStyle(style);
+    } catch (err) {
+      configError(`tagColors.${tag}: ${err.message}`);
+    }
+  }
+
+  return {
+    columns: raw.columns
+      ? raw.columns.map(normalizeColumn)
+      : DEFAULT_COLUMNS.map((col, idx) => ({ ...col, staleAfter: columnStaleAfter(col, idx) })),
+    unknownStatus,
+    aliases,
+    me: raw.me || null,
+    meFromCwd: raw.meFromCwd === true,
+    recursive: raw.recursive === true,
+    sort: normalizeSort(raw.sort === undefined ? DEFAULT_SORT : raw.sort, 'sort'),
+    limit,
+    closedLimit,
+    staleAfter,
+    prStatus,
+    card,
+    wrap,
+    theme,
+    tagColors,
+    views: Object.entries(raw.views || {}).map(([name, view]) => normalizeView(name, view)),
+  };
+}
+
+function loadBoardConfig(ticketsDir) {
+  const file = path.join(ticketsDir, BOARD_CONFIG_FILE);
+  let raw = {};
+  if (fs.existsSync(file)) {
+    try {
+      raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      throw new BoardError(`${file}: ${err.message}`);
+    }
+  }
+  return normalizeConfig(raw, file);
+}
+
+module.exports = {
+  BOARD_CONFIG_FILE,
+  DEFAULT_COLUMNS,
+  DEFAULT_CARD,
+  parseCardTemplate,
+  normalizeConfig,
+  loadBoardConfig,
+};
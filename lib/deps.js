@@ -0,0 +1,56 @@
+'use strict';
+
+// Copies of the tickets with `blockedBy` set to the IDs of their deps that
+// are not closed yet. Deps on missing tickets are reported by
+// dependencyWarnings() rather than treated as blocking.
+function withDependencies(tickets) {
+  const byId = new Map(tickets.map(t => [t.id, t]));
+  return tickets.map(t => ({
+    ...t,
+    blockedBy: t.deps.filter(id => byId.has(id) && byId.get(id).status !== 'closed'),
+  }));
+}
+
+function findDependencyCycles(tickets) {
+  const byId = new Map(tickets.map(t => [t.id, t]));
+  const cycles = [];
+  const done = new Set();
+  const stack = [];
+
+  function visit(id) {
+    const onStack = stack.indexOf(id);
+    if (onStack !== -1) {
+      cycles.push(stack.slice(onStack).concat(id));
+      return;
+    }
+    if (done.has(id) || !byId.has(id)) return;
+    stack.push(id);
+    for (const dep of byId.get(id).deps) visit(dep);
+    stack.pop();
+    done.add(id);
+  }
+
+  // Visit in ID order so the reported cycles don't depend on readdir order
+  for (const id of [...byId.keys()].sort()) visit(id);
+  return cycles;
+}
+
+function dependencyWarnings(tickets) {
+  const ids = new Set(tickets.map(t => t.id));
+  const warnings = [];
+  for (const t of tickets) {
+    for (const dep of t.deps) {
+      if (!ids.has(dep)) warnings.push(`${t.id} depends on missing ticket ${dep}`);
+    }
+  }
+  for (const cycle of findDependencyCycles(tickets)) {
+    warnings.push(`dependency cycle: ${cycle.join(' → ')}`);
+  }
+  return warnings;
+}
+
+module.exports = {
+  withDependencies,
+  findDependencyCycles,
+  dependencyWarnings,
+};
@@ -0,0 +1,64 @@
+'use strict';
+
+// Tickets form a tree through their `parent:` field. A ticket with children
+// is an epic: its card shows how many of them are closed.
+
+// Copies of the tickets where every parent records the IDs of its
+// `children` and its `progress`, { done, total } over those children
+function withChildren(tickets) {
+  const children = new Map();
+  for (const t of tickets) {
+    if (!t.parent) continue;
+    if (!children.has(t.parent)) children.set(t.parent, []);
+    children.get(t.parent).push(t);
+  }
+  return tickets.map(t => {
+    const kids = children.get(t.id);
+    if (!kids) return t;
+    return {
+      ...t,
+      children: kids.map(k => k.id),
+      progress: { done: kids.filter(k => k.status === 'closed').length, total: kids.length },
+    };
+  });
+}
+
+// The epic `id` and everything below it; nothing when there is no such ticket
+function epicSubtree(tickets, id) {
+  if (!tickets.some(t => t.id === id)) return [];
+  const ids = new Set([id]);
+  // Keep sweeping until no more descendants turn up; a parent cycle just
+  // ends the sweep
+  let grew = true;
+  while (grew) {
+    grew = false;
+    for (const t of tickets) {
+      if (t.parent && ids.has(t.parent) && !ids.has(t.id)) {
+        ids.add(t.id);
+        grew = true;
+      }
+    }
+  }
+  return tickets.filter(t => ids.has(t.id));
+}
+
+// Drop the tickets whose parent is shown too; the parent's progress stands
+// in for them
+function collapseChildren(tickets) {
+  const shown = new Set(tickets.map(t => t.id));
+  return tickets.filter(t => !t.parent || !shown.has(t.parent));
+}
+
+function parentWarnings(tickets) {
+  const ids = new Set(tickets.map(t => t.id));
+  return tickets
+    .filter(t => t.parent && !ids.has(t.parent))
+    .map(t => `${t.id} has missing parent ${t.parent}`);
+}
+
+module.exports = {
+  withChildren,
+  epicSubtree,
+  collapseChildren,
+  parentWarnings,
+};
@@ -0,0 +1,14 @@
+'use strict';
+
+// Thrown for problems the caller should report to the user: no tickets
+// directory, an invalid board config, a malformed query and so on. The CLI
+// prints the message and exits 1.
+class BoardError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'BoardError';
+    Object.assign(this, details);
+  }
+}
+
+module.exports = { BoardError };
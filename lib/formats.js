@@ -0,0 +1,124 @@
+'use strict';
+
+const { BoardError } = require('./errors');
+const { laneColumns } = require('./board');
+const { renderBoard } = require('./render');
+const { formatHTML } = require('./html');
+
+// Version of the JSON document emitted by --format=json. Bump it when a field
+// is removed or changes meaning; adding fields is backwards compatible.
+const JSON_SCHEMA_VERSION = 1;
+
+function jsonColumns(columns) {
+  return columns.map(col => ({
+    key: col.key,
+    label: col.label,
+    statuses: col.statuses,
+    wip: col.wip,
+    tickets: col.tickets,
+  }));
+}
+
+function formatJSON(board) {
+  const doc = {
+    version: JSON_SCHEMA_VERSION,
+    ticketsDir: board.ticketsDir,
+    columns: jsonColumns(board.columns),
+  };
+  if (board.projects) doc.projects = board.projects;
+  if (board.lanes) {
+    doc.swimlanes = {
+      by: board.swimlanes,
+      lanes: board.lanes.map(lane => ({
+        key: lane.key,
+        label: lane.label,
+        columns: jsonColumns(laneColumns(board.columns, lane)),
+      })),
+    };
+  }
+  return JSON.stringify(doc, null, 2);
+}
+
+function csvField(value) {
+  const s = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// With swimlanes a leading `lane` field is added, and a ticket in several
+// lanes gets one row per lane.
+function formatCSV(board) {
+  const { columns, lanes } = board;
+  const header = ['column', 'id', 'status', 'priority', 'assignee', 'title', 'tags', 'pr'];
+  const rows = [(lanes ? ['lane', ...header] : header).join(',')];
+  for (const lane of lanes || [null]) {
+    for (const col of lane ? laneColumns(columns, lane) : columns) {
+      for (const t of col.tickets) {
+        const row = [col.key, t.id, t.status, t.priority, t.assignee, t.title, t.tags.join(';'), t.pr];
+        rows.push((lane ? [lane.label, ...row] : row).map(csvField).join(','));
+      }
+    }
+  }
+  return rows.join('\n');
+}
+
+function markdownCell(s) {
+  return s.replace(/\\/g, '\\\\').replace(/\|/g, '\\|');
+}
+
+function markdownCard(ticket) {
+  const parts = [`**${ticket.id}** P${ticket.priority}`, markdownCell(ticket.title)];
+  const meta = [];
+  if (ticket.assignee) meta.push(`@${ticket.assignee}`);
+  for (const tag of ticket.tags) meta.push(`#${tag}`);
+  if (meta.length) parts.push(markdownCell(meta.join(' ')));
+  if (ticket.pr) parts.push(`[PR](${ticket.pr})`);
+  return parts.join('<br>');
+}
+
+function markdownTable(columns) {
+  const lines = [
+    '| ' + columns.map(c => {
+      const limit = c.wip && c.wip.total !== null ? `/${c.wip.total}` : '';
+      return `${c.label} (${c.tickets.length}${limit})`;
+    }).join(' | ') + ' |',
+    '|' + columns.map(() => '---|').join(''),
+  ];
+  const maxCards = Math.max(...columns.map(c => c.tickets.length), 0);
+  for (let i = 0; i < maxCards; i++) {
+    const cells = columns.map(c => (i < c.tickets.length ? markdownCard(c.tickets[i]) : ''));
+    lines.push('| ' + cells.join(' | ') + ' |');
+  }
+  return lines.join('\n');
+}
+
+function formatMarkdown(board) {
+  if (!board.lanes) return markdownTable(board.columns);
+  return board.lanes
+    .map(lane => `### ${markdownCell(lane.label)}\n\n${markdownTable(laneColumns(board.columns, lane))}`)
+    .join('\n\n');
+}
+
+const formatters = {
+  board: renderBoard,
+  json: formatJSON,
+  csv: formatCSV,
+  markdown: formatMarkdown,
+  html: formatHTML,
+};
+
+const FORMATS = Object.keys(formatters);
+
+// Serialize a board from loadBoard(). `options` are passed on to
+// renderBoard() for the `board` format and formatHTML() for `html`.
+function formatBoard(board, format = 'board', options = {}) {
+  if (!formatters[format]) {
+    throw new BoardError(`Unknown format: ${format} (expected one of: ${FORMATS.join(', ')})`);
+  }
+  return formatters[format](board, options);
+}
+
+module.exports = {
+  JSON_SCHEMA_VERSION,
+  FORMATS,
+  formatBoard,
+};
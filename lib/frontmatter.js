@@ -0,0 +1,194 @@
+'use strict';
+
+// Ticket frontmatter is a small YAML subset: `key: value` pairs whose values
+// are plain or quoted scalars, flow lists (`[a, b]`), block lists (`- a` on
+// the following lines) or block scalars (`|` keeps newlines, `>` folds them).
+// Comments and blank lines are skipped. Problems are collected as
+// diagnostics with 1-based line numbers instead of aborting the parse.
+
+function unquote(raw, lineNo, diagnostics) {
+  const quote = raw[0];
+  let value = '';
+  let i = 1;
+  for (; i < raw.length; i++) {
+    if (raw[i] === quote) {
+      // '' is an escaped quote inside single quotes
+      if (quote !== "'" || raw[i + 1] !== "'") break;
+      value += "'";
+      i++;
+    } else if (quote === '"' && raw[i] === '\\' && i + 1 < raw.length) {
+      const next = raw[++i];
+      value += { n: '\n', t: '\t', '"': '"', '\\': '\\' }[next] || `\\${next}`;
+    } else {
+      value += raw[i];
+    }
+  }
+  if (i >= raw.length) {
+    diagnostics.push({ line: lineNo, message: `unterminated ${quote === '"' ? 'double' : 'single'}-quoted string` });
+    return raw.slice(1);
+  }
+  return value;
+}
+
+function parseScalar(raw, lineNo, diagnostics) {
+  const text = raw.trim();
+  if (text[0] === '"' || text[0] === "'") return unquote(text, lineNo, diagnostics);
+  const plain = text.replace(/\s+#.*$/, '');
+  return plain === '~' || plain === 'null' ? '' : plain;
+}
+
+// Split a flow list on commas that are not inside quotes
+function parseFlowList(raw, lineNo, diagnostics) {
+  const inner = raw.trim().slice(1, -1);
+  const items = [];
+  let current = '';
+  let quote = null;
+  for (const ch of inner) {
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === ',') {
+      items.push(current);
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+  items.push(current);
+  return items.map(item => parseScalar(item, lineNo, diagnostics)).filter(item => item !== '');
+}
+
+function parseFrontmatter(text, firstLine = 2) {
+  const fields = {};
+  const fieldLines = {};
+  const diagnostics = [];
+  const lines = text.split('\n');
+  const isIndented = (line) => /^\s+\S/.test(line);
+
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    const lineNo = firstLine + i;
+    i++;
+    if (!line.trim() || /^\s*#/.test(line)) continue;
+
+    const m = line.match(/^([A-Za-z_][A-Za-z0-9_-]*)[ \t]*:(.*)$/);
+    if (!m) {
+      diagnostics.push({ line: lineNo, message: `expected "key: value", got "${line.trim()}"` });
+      continue;
+    }
+    const key = m[1];
+    const rest = m[2].trim();
+    // YAML wants a space after the colon, but tk has always read `key:value`
+    if (rest && !/^[ \t]/.test(m[2])) {
+      diagnostics.push({ line: lineNo, message: `missing space after "${key}:"` });
+    }
+    if (Object.prototype.hasOwnProperty.call(fields, key)) diagnostics.push({ line: lineNo, message: `duplicate key "${key}"` });
+    fieldLines[key] = lineNo;
+
+    let value;
+    if (/^[|>][+-]?$/.test(rest)) {
+      const block = [];
+      while (i < lines.length && (isIndented(lines[i]) || (!lines[i].trim() && i + 1 < lines.length && isIndented(lines[i + 1])))) {
+        block.push(lines[i++]);
+      }
+      const indent = Math.min(...block.filter(l => l.trim()).map(l => l.match(/^\s*/)[0].length));
+      const body = block.map(l => l.slice(indent));
+      value = rest[0] === '|'
+        ? body.join('\n')
+        : body.join('\n').replace(/([^\n])\n(?=[^\n])/g, '$1 ').replace(/\n\n/g, '\n');
+    } else if (rest === '' || rest.startsWith('#')) {
+      const items = [];
+      while (i < lines.length && /^\s*-(\s|$)/.test(lines[i])) {
+        items.push(parseScalar(lines[i].replace(/^\s*-/, ''), firstLine + i, diagnostics));
+        i++;
+      }
+      if (items.length) {
+        value = items.filter(item => item !== '');
+      } else {
+        value = '';
+        if (i < lines.length && isIndented(lines[i])) {
+          diagnostics.push({ line: firstLine + i, message: `nested mappings are not supported (under "${key}")` });
+          while (i < lines.length && (isIndented(lines[i]) || !lines[i].trim())) i++;
+        }
+      }
+    } else if (rest.startsWith('[')) {
+      if (!rest.replace(/\s+#.*$/, '').endsWith(']')) {
+        diagnostics.push({ line: lineNo, message: `unterminated list for "${key}"` });
+      }
+      value = parseFlowList(rest.replace(/\s+#.*$/, '').replace(/\]?$/, ']'), lineNo, diagnostics);
+    } else if ((rest[0] === '"' || rest[0] === "'") && !/^(["'])(?:[^\\]|\\.)*?\1/.test(rest)) {
+      // Quoted string continued on the following lines
+      let raw = rest;
+      while (i < lines.length && !/^(["'])[\s\S]*\1/.test(raw.replace(/\\./g, ''))) {
+        raw += ' ' + lines[i++].trim();
+      }
+      value = parseScalar(raw, lineNo, diagnostics);
+    } else {
+      // Plain scalars may continue on indented lines
+      let raw = rest;
+      while (i < lines.length && isIndented(lines[i]) && !/^\s*-(\s|$)/.test(lines[i])) {
+        raw += ' ' + lines[i++].trim();
+      }
+      value = parseScalar(raw, lineNo, diagnostics);
+    }
+    fields[key] = value;
+  }
+
+  return { fields, fieldLines, diagnostics };
+}
+
+// --- writing ---
+
+// Plain scalars that would read back differently are double-quoted
+function formatScalar(value) {
+  const text = String(value);
+  const plain = text !== '' && text === text.trim() && !/^[-?:,[\]{}#&*!|>'"%@`~]/.test(text)
+    && !/: |\s#|[\n\t]/.test(text) && !['null', '~'].includes(text);
+  return plain ? text : JSON.stringify(text);
+}
+
+// Rewrite one field of a ticket file's content, leaving every other byte
+// as it was: the body, other fields, their order, comments and line endings.
+// `value` is a string, or an array written in the style of the list it
+// replaces; null removes the field. A missing field is added at the end of
+// the frontmatter. Returns null when the content has no frontmatter.
+function setFrontmatterField(content, key, value) {
+  const lines = content.split(/(?<=\n)/);
+  const bare = (line) => line.replace(/\r?\n$/, '');
+  if (!lines.length || bare(lines[0]).replace(/^\uFEFF/, '') !== '---') return null;
+  const end = lines.findIndex((line, i) => i > 0 && bare(line) === '---');
+  if (end === -1) return null;
+  const eol = /\r\n$/.test(lines[0]) ? '\r\n' : '\n';
+
+  // The field's own line plus its list items and continuation lines
+  const keyRe = new RegExp(`^${key}[ \\t]*:`);
+  const start = lines.findIndex((line, i) => i > 0 && i < end && keyRe.test(line));
+  let stop = start + 1;
+  const continues = (i) => i < end && /^(\s+\S|-(\s|$))/.test(bare(lines[i]));
+  if (start !== -1) {
+    while (continues(stop) || (stop < end && !bare(lines[stop]).trim() && continues(stop + 1))) stop++;
+  }
+
+  let replacement = [];
+  if (value !== null) {
+    const item = start !== -1 && stop > start + 1 && bare(lines[start + 1]).match(/^(\s*)-/);
+    const prefix = start !== -1 ? lines[start].match(keyRe)[0] : `${key}:`;
+    if (Array.isArray(value) && item && value.length) {
+      replacement = [`${prefix}${eol}`, ...value.map(v => `${item[1]}- ${formatScalar(v)}${eol}`)];
+    } else if (Array.isArray(value)) {
+      replacement = [`${prefix} [${value.map(formatScalar).join(', ')}]${eol}`];
+    } else {
+      replacement = [`${prefix} ${formatScalar(value)}${eol}`];
+    }
+  }
+
+  if (start === -1) {
+    // The closing --- may be the last line of a file without a trailing newline
+    return [...lines.slice(0, end), ...replacement, ...lines.slice(end)].join('');
+  }
+  return [...lines.slice(0, start), ...replacement, ...lines.slice(stop)].join('');
+}
+
+module.exports = { parseFrontmatter, setFrontmatterField };
@@ -0,0 +1,210 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { BoardError } = require('./errors');
+const { parseFrontmatter } = require('./frontmatter');
+const { isTicketFile, parseTicketContent, ticketBodyOf } = require('./tickets');
+
+// --- git history ---
+
+// More lines of diff context than any ticket has
+const FULL_CONTEXT = 1000000;
+
+function git(cwd, args, options = {}) {
+  return execFileSync('git', args, {
+    cwd,
+    encoding: 'utf8',
+    stdio: [options.input === undefined ? 'ignore' : 'pipe', 'pipe', 'ignore'],
+    maxBuffer: 256 * 1024 * 1024,
+    ...options,
+  });
+}
+
+function isGitWorkTree(dir) {
+  try {
+    return git(dir, ['rev-parse', '--is-inside-work-tree']).trim() === 'true';
+  } catch {
+    return false;
+  }
+}
+
+// Read every committed status change of the ticket files in `ticketsDir`
+// from `git log`. Returns a Map of file name -> [{ at, status }] in
+// chronological order; a commit that adds a ticket also records its initial
+// status, `open` unless the file says otherwise. Moving a ticket, say into
+// archive/, records nothing. Outside a git work tree (or without git) the
+// map is empty.
+function loadStatusHistory(ticketsDir) {
+  const history = new Map();
+  if (!isGitWorkTree(ticketsDir)) return history;
+
+  // Whole files as context, so every hunk starts at line 1 and shows where
+  // the frontmatter ends: a `status:` line in the body is not a status
+  let log;
+  try {
+    log = git(ticketsDir, [
+      'log', '--reverse', '--find-renames', '--no-color', '--no-ext-diff',
+      '--format=%x00%cI', `--unified=${FULL_CONTEXT}`, '-p', '--', '.',
+    ]);
+  } catch {
+    return history;
+  }
+
+  const push = (name, event) => {
+    if (!history.has(name)) history.set(name, []);
+    history.get(name).push(event);
+  };
+
+  let at = null;
+  let file = null;
+  let added = false;
+  let inHunk = false;
+  let lineNo = 0; // line of the new file
+  let inFrontmatter = false;
+  for (const line of log.split('\n')) {
+    if (line.startsWith('\0')) {
+      at = new Date(line.slice(1));
+      file = null;
+      inHunk = false;
+    } else if (line.startsWith('diff --git ')) {
+      file = null;
+      added = false;
+      inHunk = false;
+    } else if (!inHunk && line === '--- /dev/null') {
+      added = true;
+    } else if (!inHunk && line.startsWith('+++ ')) {
+      const name = line === '+++ /dev/null' ? null : path.basename(line.slice('+++ b/'.length));
+      file = name && name.endsWith('.md') ? name : null;
+      if (file && added) push(file, { at, status: 'open' });
+    } else if (line.startsWith('@@ ')) {
+      const match = line.match(/^@@ -\d+(?:,\d+)? \+(\d+)/);
+      inHunk = Boolean(match);
+      lineNo = match ? Number(match[1]) : 0;
+      inFrontmatter = false;
+    } else if (inHunk && (line[0] === ' ' || line[0] === '+')) {
+      const text = line.slice(1).replace(/\r$/, '');
+      if (lineNo === 1) {
+        inFrontmatter = text.replace(/^\uFEFF/, '') === '---';
+      } else if (inFrontmatter && text === '---') {
+        inFrontmatter = false;
+      } else if (file && inFrontmatter && line[0] === '+' && /^status:/.test(text)) {
+        const status = parseFrontmatter(text).fields.status;
+        if (typeof status === 'string' && status) {
+          // A new file starts out in its own status rather than open
+          const events = history.get(file);
+          if (added) events[events.length - 1].status = status;
+          else push(file, { at, status });
+        }
+      }
+      lineNo++;
+    }
+  }
+  return history;
+}
+
+// --- snapshots ---
+
+const DATE_RE = /^\d{4}-\d\d-\d\d([T ][\d:.]+(Z|[+-]\d\d:?\d\d)?)?$/;
+
+// Resolve a `--at` / `--diff-from` argument to a commit: a git revision, or a
+// date meaning the last commit on or before it (a bare date means the end of
+// that day). Returns { rev, date, spec }.
+function resolveRevision(ticketsDir, spec) {
+  if (!isGitWorkTree(ticketsDir)) {
+    throw new BoardError(`cannot go back to ${spec}: ${ticketsDir} is not inside a git repository`);
+  }
+  let rev;
+  try {
+    if (DATE_RE.test(spec)) {
+      const before = /^\d{4}-\d\d-\d\d$/.test(spec) ? `${spec} 23:59:59` : spec;
+      rev = git(ticketsDir, ['rev-list', '-1', `--before=${before}`, 'HEAD']).trim();
+      if (!rev) throw new BoardError(`no commit on or before ${spec}`);
+    } else {
+      rev = git(ticketsDir, ['rev-parse', '--verify', '--quiet', `${spec}^{commit}`]).trim();
+    }
+  } catch (err) {
+    if (err instanceof BoardError) throw err;
+    throw new BoardError(`unknown revision or date: ${spec}`);
+  }
+  const date = new Date(git(ticketsDir, ['show', '-s', '--format=%cI', rev]).trim());
+  return { rev, date, spec };
+}
+
+// Read the tickets of `ticketsDir` as they were committed at `rev`. Files
+// come out of a single `git cat-file --batch` call rather than one `git show`
+// per ticket. Each ticket's `file` is where it lives in the working tree, so
+// it also carries its committed `body`.
+function loadTicketsAt(ticketsDir, rev) {
+  const listing = git(ticketsDir, ['ls-tree', '-z', rev, '--', '.']);
+  const blobs = [];
+  for (const entry of listing.split('\0')) {
+    const match = entry.match(/^\d+ blob ([0-9a-f]+)\t(.+)$/);
+    if (match && isTicketFile(match[2])) blobs.push({ hash: match[1], name: match[2] });
+  }
+  if (!blobs.length) return [];
+
+  const out = git(ticketsDir, ['cat-file', '--batch'], {
+    input: Buffer.from(blobs.map(b => b.hash).join('\n') + '\n'),
+    encoding: 'buffer',
+  });
+  const tickets = [];
+  let offset = 0;
+  for (const blob of blobs) {
+    const headerEnd = out.indexOf(10, offset);
+    const size = Number(out.toString('utf8', offset, headerEnd).split(' ')[2]);
+    const content = out.toString('utf8', headerEnd + 1, headerEnd + 1 + size);
+    offset = headerEnd + 1 + size + 1;
+    const { ticket } = parseTicketContent(content, path.join(ticketsDir, blob.name));
+    if (ticket) tickets.push({ ...ticket, body: ticketBodyOf(content) });
+  }
+  return tickets;
+}
+
+// --- timelines ---
+
+function parseDate(value) {
+  if (typeof value !== 'string' || !value) return null;
+  const date = new Date(value);
+  return isNaN(date) ? null : date;
+}
+
+// The statuses a ticket went through, as [{ at, status }] in time order.
+// Starts at the `created:` frontmatter date when there is one, follows the
+// git history, and ends with the current status; a change that is not
+// committed yet is dated by the file's modification time. Returns an empty
+// list when nothing says when the ticket was created.
+function ticketTimeline(ticket, history) {
+  const events = (ticket.file && history.get(path.basename(ticket.file))) || [];
+  const created = parseDate(ticket.fields && ticket.fields.created);
+  const timeline = [];
+
+  if (created && (!events.length || created < events[0].at)) {
+    timeline.push({ at: created, status: 'open' });
+  }
+  for (const event of events) {
+    if (!timeline.length || timeline[timeline.length - 1].status !== event.status) timeline.push(event);
+  }
+  if (!timeline.length) return timeline;
+
+  const last = timeline[timeline.length - 1];
+  if (last.status !== ticket.status) {
+    let at = new Date();
+    try {
+      at = fs.statSync(ticket.file).mtime;
+    } catch {
+      // fall back to now
+    }
+    timeline.push({ at: at < last.at ? last.at : at, status: ticket.status });
+  }
+  return timeline;
+}
+
+module.exports = {
+  isGitWorkTree,
+  loadStatusHistory,
+  resolveRevision,
+  loadTicketsAt,
+  ticketTimeline,
+};
@@ -0,0 +1,157 @@
+'use strict';
+
+const { laneColumns } = require('./board');
+const { readTicketBody } = require('./tickets');
+const { describePRStatus, isWebURL } = require('./pr');
+
+// Self-contained page for --format=html and `tk board serve`: no external
+// stylesheets, scripts or fonts, so the file can be mailed or attached as is.
+
+const STYLE = `
+  body { font: 14px/1.4 -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 1.5em; color: #1f2328; background: #f6f8fa; }
+  h1 { font-size: 1.2em; margin: 0 0 1em; }
+  h2 { font-size: 1em; margin: 1.5em 0 .5em; }
+  .board { display: grid; grid-template-columns: repeat(var(--columns), minmax(12em, 1fr)); gap: 1em; align-items: start; }
+  .column > h3 { font-size: .85em; letter-spacing: .05em; margin: 0 0 .5em; padding-bottom: .3em; border-bottom: 2px solid #d0d7de; }
+  .column > h3 .count { color: #656d76; font-weight: normal; }
+  .column.over-wip > h3, .column.over-wip > h3 .count { color: #cf222e; border-color: #cf222e; }
+  .card { background: #fff; border: 1px solid #d0d7de; border-left: 4px solid #d0d7de; border-radius: 6px; padding: .5em .7em; margin-bottom: .6em; }
+  .card.p0, .card.p1 { border-left-color: #cf222e; }
+  .card.p2 { border-left-color: #bf8700; }
+  .card.blocked { opacity: .6; }
+  .card.stale { border-style: dashed; }
+  .age { font-size: .75em; font-weight: 600; color: #9a6700; }
+  .card .id { font-family: ui-monospace, Menlo, monospace; font-size: .85em; color: #656d76; }
+  .priority { font-size: .75em; font-weight: 600; padding: 0 .4em; border-radius: 1em; background: #eaeef2; }
+  .p0 .priority, .p1 .priority { background: #ffebe9; color: #cf222e; }
+  .p2 .priority { background: #fff8c5; color: #9a6700; }
+  .title { font-weight: 600; margin: .2em 0; }
+  .assignee { color: #1a7f37; margin-right: .4em; }
+  .tag { display: inline-block; font-size: .8em; padding: 0 .5em; margin: .1em .2em .1em 0; border-radius: 1em; background: #ddf4ff; color: #0969da; }
+  .deps { color: #cf222e; font-size: .85em; }
+  .progress { color: #656d76; font-size: .85em; }
+  .progress progress { width: 5em; vertical-align: middle; }
+  .pr { display: block; font-size: .85em; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+  .pr-status { font-weight: 600; }
+  details summary { cursor: pointer; color: #656d76; font-size: .85em; }
+  details pre { white-space: pre-wrap; font-size: .85em; margin: .4em 0 0; }
+  footer { margin-top: 2em; color: #656d76; font-size: .8em; }
+`;
+
+// Reload on every change event from `tk board serve`, keeping open ticket
+// bodies open across the reload.
+const LIVE_RELOAD_SCRIPT = `
+  const KEY = 'tk-board-open';
+  for (const id of JSON.parse(sessionStorage.getItem(KEY) || '[]')) {
+    const el = document.querySelector('details[data-id="' + CSS.escape(id) + '"]');
+    if (el) el.open = true;
+  }
+  new EventSource('events').onmessage = () => {
+    const open = [...document.querySelectorAll('details[open]')].map(el => el.dataset.id);
+    sessionStorage.setItem(KEY, JSON.stringify(open));
+    location.reload();
+  };
+`;
+
+function escapeHTML(s) {
+  return String(s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// The PR link, led by the PR's state when a status provider knew it. Only
+// web links become anchors, so a stray `javascript:` value stays text.
+function prLink(ticket) {
+  const { pr, prStatus } = ticket;
+  const status = prStatus ? `<span class="pr-status">${escapeHTML(describePRStatus(prStatus))}</span> ` : '';
+  if (!isWebURL(pr)) return `<span class="pr">${status}${escapeHTML(pr)}</span>`;
+  return `<a class="pr" href="${escapeHTML(pr)}" target="_blank" rel="noopener">${status}${escapeHTML(pr)}</a>`;
+}
+
+function ticketBody(ticket) {
+  try {
+    return readTicketBody(ticket).replace(/^# .*\n+/, '').trim();
+  } catch {
+    return '';
+  }
+}
+
+function htmlCard(ticket) {
+  const blocked = ticket.blockedBy && ticket.blockedBy.length > 0;
+  const classes = ['card', `p${ticket.priority}`].concat(blocked ? ['blocked'] : [], ticket.stale ? ['stale'] : []);
+  const age = ticket.stale ? ` <span class="age" title="untouched for ${ticket.age} days">${ticket.age}d</span>` : '';
+  const parts = [
+    `<div class="${classes.join(' ')}">`,
+    `<div><span class="id">${escapeHTML(ticket.id)}</span> <span class="priority">P${ticket.priority}</span>${age}</div>`,
+    `<div class="title">${escapeHTML(ticket.title)}</div>`,
+  ];
+
+  const meta = [];
+  if (ticket.assignee) meta.push(`<span class="assignee">@${escapeHTML(ticket.assignee)}</span>`);
+  for (const tag of ticket.tags) meta.push(`<span class="tag">${escapeHTML(tag)}</span>`);
+  if (meta.length) parts.push(`<div>${meta.join('')}</div>`);
+
+  if (ticket.progress) {
+    const { done, total } = ticket.progress;
+    parts.push(`<div class="progress"><progress value="${done}" max="${total}"></progress> ${done}/${total}</div>`);
+  }
+
+  if (ticket.pr) parts.push(prLink(ticket));
+  if (blocked) {
+    const n = ticket.blockedBy.length;
+    parts.push(`<div class="deps" title="${escapeHTML(ticket.blockedBy.join(', '))}">\u26d4 ${n} ${n === 1 ? 'dep' : 'deps'}</div>`);
+  }
+
+  const body = ticket.file || typeof ticket.body === 'string' ? ticketBody(ticket) : '';
+  if (body) {
+    parts.push(`<details data-id="${escapeHTML(ticket.id)}"><summary>Details</summary><pre>${escapeHTML(body)}</pre></details>`);
+  }
+  parts.push('</div>');
+  return parts.join('\n');
+}
+
+function htmlColumns(columns) {
+  const sections = columns.map(col => {
+    const limit = col.wip && col.wip.total !== null ? col.wip.total : null;
+    const over = limit !== null && col.tickets.length > limit;
+    const count = limit !== null ? `${col.tickets.length}/${limit}` : String(col.tickets.length);
+    return [
+      `<section class="column${over ? ' over-wip' : ''}">`,
+      `<h3>${escapeHTML(col.label)} <span class="count">${count}</span></h3>`,
+      ...col.tickets.map(htmlCard),
+      '</section>',
+    ].join('\n');
+  });
+  return `<div class="board" style="--columns: ${columns.length}">\n${sections.join('\n')}\n</div>`;
+}
+
+// Render a board from loadBoard() as a standalone HTML page. With
+// `liveReload` the page reloads whenever `tk board serve` reports a change.
+function formatHTML(board, options = {}) {
+  const content = board.lanes
+    ? board.lanes.map(lane =>
+      `<h2>${escapeHTML(lane.label)}</h2>\n${htmlColumns(laneColumns(board.columns, lane))}`).join('\n')
+    : htmlColumns(board.columns);
+  const generated = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+
+  const source = board.projects ? board.projects.map(p => p.name).join(', ') : board.ticketsDir;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Ticket board</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>Ticket board</h1>
+${content}
+<footer>Generated ${generated}${source ? ` from ${escapeHTML(source)}` : ''}</footer>
+${options.liveReload ? `<script>${LIVE_RELOAD_SCRIPT}</script>\n` : ''}</body>
+</html>`;
+}
+
+module.exports = { escapeHTML, formatHTML };
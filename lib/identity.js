@@ -0,0 +1,85 @@
+'use strict';
+
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { BoardError } = require('./errors');
+
+// --- aliases ---
+
+// Parse board.json `aliases` ({ "ham": ["Ham Smith", "ham@corp"] }) into a
+// Map of lower-cased spelling -> person. Throws an Error describing the
+// first bad entry, worded for a board.json error.
+function parseAliases(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('"aliases" must be an object of name -> list of other spellings');
+  }
+  const table = new Map();
+  for (const [name, spellings] of Object.entries(raw)) {
+    const list = [].concat(spellings);
+    if (!list.every(s => typeof s === 'string' && s)) {
+      throw new Error(`aliases.${name} must be a list of names`);
+    }
+    for (const spelling of [name, ...list]) {
+      const key = spelling.toLowerCase();
+      if (table.has(key) && table.get(key) !== name) {
+        throw new Error(`aliases: "${spelling}" is listed for both ${table.get(key)} and ${name}`);
+      }
+      table.set(key, name);
+    }
+  }
+  return table;
+}
+
+// The person behind a name, or the name itself when no alias matches
+function canonicalName(aliases, name) {
+  if (!name || !aliases) return name;
+  return aliases.get(name.toLowerCase()) || name;
+}
+
+// Copies of the tickets with their assignees resolved through the aliases
+function withAliases(tickets, aliases) {
+  if (!aliases || !aliases.size) return tickets;
+  return tickets.map(t => (t.assignee ? { ...t, assignee: canonicalName(aliases, t.assignee) } : t));
+}
+
+// --- who am I ---
+
+function gitConfig(cwd, key) {
+  try {
+    return execFileSync('git', ['config', '--get', key], { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+// git's user.name, or user.email when only that is known to the aliases
+function gitIdentity(cwd, aliases) {
+  const candidates = [gitConfig(cwd, 'user.name'), gitConfig(cwd, 'user.email')].filter(Boolean);
+  const known = candidates.find(c => aliases && aliases.has(c.toLowerCase()));
+  return known || candidates[0] || null;
+}
+
+// Work out who `--me` means, trying in turn: the TK_ME environment variable,
+// `me` in board.json, git's user.name / user.email and, only when the config
+// sets `meFromCwd`, the name of the current directory. The answer is resolved
+// through the aliases. Throws BoardError when every source comes up empty.
+function resolveMe(config, { env = process.env, cwd = process.cwd() } = {}) {
+  const sources = [
+    () => env.TK_ME,
+    () => config.me,
+    () => gitIdentity(cwd, config.aliases),
+    () => (config.meFromCwd ? path.basename(cwd) : null),
+  ];
+  for (const source of sources) {
+    const name = source();
+    if (name) return canonicalName(config.aliases, name);
+  }
+  throw new BoardError('cannot tell who --me is: set TK_ME, "me" in board.json or git config user.name');
+}
+
+module.exports = {
+  parseAliases,
+  canonicalName,
+  withAliases,
+  resolveMe,
+};
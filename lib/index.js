@@ -0,0 +1,60 @@
+'use strict';
+
+// Public API: `require('ticket-board')`. The CLI in bin/ is built on these.
+
+const { BoardError } = require('./errors');
+const { parseFrontmatter, setFrontmatterField } = require('./frontmatter');
+const { findTicketsDir, parseTicket, parseTicketContent, listTicketFiles, loadTickets, loadTicketsAsync } = require('./tickets');
+const { loadBoardConfig, normalizeConfig, parseCardTemplate } = require('./config');
+const { THEME_NAMES, resolveTheme } = require('./theme');
+const { parseQuery, applyFilters } = require('./query');
+const { buildBoard, loadBoard, limitColumns, wipViolations } = require('./board');
+const { renderBoard, renderCard } = require('./render');
+const { JSON_SCHEMA_VERSION, FORMATS, formatBoard } = require('./formats');
+const { lintTickets } = require('./lint');
+const { serveBoard } = require('./serve');
+const { loadStatusHistory, loadTicketsAt, resolveRevision } = require('./history');
+const { boardChanges } = require('./changes');
+const { computeStats, renderStats } = require('./stats');
+const { loadProjectTickets, loadWorkspace } = require('./projects');
+const { attachPRStatus, loadPRStatuses } = require('./pr');
+
+module.exports = {
+  BoardError,
+  JSON_SCHEMA_VERSION,
+  FORMATS,
+  loadBoard,
+  buildBoard,
+  renderBoard,
+  renderCard,
+  formatBoard,
+  serveBoard,
+  loadStatusHistory,
+  resolveRevision,
+  loadTicketsAt,
+  boardChanges,
+  computeStats,
+  renderStats,
+  wipViolations,
+  limitColumns,
+  findTicketsDir,
+  listTicketFiles,
+  loadTickets,
+  loadTicketsAsync,
+  loadProjectTickets,
+  loadWorkspace,
+  loadPRStatuses,
+  attachPRStatus,
+  parseTicket,
+  parseTicketContent,
+  parseFrontmatter,
+  setFrontmatterField,
+  loadBoardConfig,
+  normalizeConfig,
+  parseCardTemplate,
+  THEME_NAMES,
+  resolveTheme,
+  parseQuery,
+  applyFilters,
+  lintTickets,
+};
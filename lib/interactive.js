@@ -0,0 +1,217 @@
+'use strict';
+
+const readline = require('readline');
+const { BoardError } = require('./errors');
+const { readTicketBody, writeTicketStatus } = require('./tickets');
+const { boardRenderOptions, createColors, highlight, renderBoardLines } = require('./render');
+const { truncateToWidth } = require('./width');
+
+// --- state ---
+
+// The board browser without the terminal: the cursor, the open ticket and the
+// key handling. `load()` returns a fresh board (see buildBoard()); `rows()`
+// the terminal height, for paging through a ticket. handleKey() returns
+// 'quit' when the user is done.
+function createBrowser({ load, rows = () => 24 }) {
+  const state = {
+    columns: [],
+    renderOptions: {},
+    col: 0,
+    row: 0,
+    scroll: 0,
+    body: null, // lines of the open ticket, or null on the board view
+    bodyScroll: 0,
+    message: '',
+  };
+
+  function selected() {
+    const col = state.columns[state.col];
+    return col && col.tickets[state.row] || null;
+  }
+
+  // Put up a board, keeping the cursor on `followId` wherever it went
+  function show(board, followId) {
+    state.columns = board.columns;
+    state.renderOptions = boardRenderOptions(board.config);
+    if (followId) {
+      state.columns.forEach((col, colIdx) => {
+        const rowIdx = col.tickets.findIndex(t => t.id === followId);
+        if (rowIdx !== -1) {
+          state.col = colIdx;
+          state.row = rowIdx;
+        }
+      });
+    }
+    clampCursor();
+  }
+
+  // Re-read the board. One that fails to load leaves the last one up with
+  // the error below.
+  function reload(followId) {
+    let board;
+    try {
+      board = load();
+    } catch (err) {
+      state.message = `Error: ${err.message}`;
+      return;
+    }
+    show(board, followId);
+  }
+
+  function clampCursor() {
+    state.col = Math.max(0, Math.min(state.col, state.columns.length - 1));
+    const col = state.columns[state.col];
+    state.row = Math.max(0, Math.min(state.row, (col ? col.tickets.length : 0) - 1));
+  }
+
+  function moveTicket(delta) {
+    const ticket = selected();
+    const target = state.columns[state.col + delta];
+    if (!ticket || !target || !target.statuses.length) return;
+    try {
+      writeTicketStatus(ticket, target.statuses[0]);
+      state.message = `${ticket.id} → ${target.label}`;
+    } catch (err) {
+      state.message = `Error: ${err.message}`;
+    }
+    reload(ticket.id);
+  }
+
+  function openTicket() {
+    const ticket = selected();
+    if (!ticket) return;
+    try {
+      state.body = readTicketBody(ticket).split('\n');
+      state.bodyScroll = 0;
+    } catch (err) {
+      state.message = `Error: ${err.message}`;
+    }
+  }
+
+  function handleKey(str, key = {}) {
+    if (key.ctrl && key.name === 'c') return 'quit';
+
+    if (state.body) {
+      switch (key.name || str) {
+        case 'q': case 'escape': case 'backspace':
+          state.body = null; break;
+        case 'j': case 'down':
+          state.bodyScroll++; break;
+        case 'k': case 'up':
+          state.bodyScroll--; break;
+        case 'space': case 'pagedown':
+          state.bodyScroll += rows() - 2; break;
+        case 'pageup':
+          state.bodyScroll -= rows() - 2; break;
+      }
+      return undefined;
+    }
+
+    state.message = '';
+    if (str === '<' || str === 'H') return moveTicket(-1);
+    if (str === '>' || str === 'L') return moveTicket(1);
+
+    switch (key.name) {
+      case 'q': case 'escape':
+        return 'quit';
+      case 'h': case 'left':
+        state.col--; break;
+      case 'l': case 'right':
+        state.col++; break;
+      case 'k': case 'up':
+        state.row--; break;
+      case 'j': case 'down':
+        state.row++; break;
+      case 'r':
+        reload(selected() && selected().id); break;
+      case 'return': case 'o':
+        openTicket(); break;
+    }
+    clampCursor();
+    return undefined;
+  }
+
+  return { state, selected, show, handleKey };
+}
+
+// --- terminal ---
+
+// Take over the terminal until the user quits. `load()` returns a fresh
+// board (see buildBoard()) on start and whenever tickets must be re-read;
+// `color` enables ANSI colors and `hyperlinks` clickable PR links.
+function runInteractive({ load, color = true, hyperlinks = false }) {
+  if (!process.stdin.isTTY || !process.stdout.isTTY) {
+    throw new BoardError('--interactive requires a terminal');
+  }
+
+  const colors = createColors(color);
+  const browser = createBrowser({ load, rows: () => process.stdout.rows || 24 });
+  const { state, selected } = browser;
+
+  function draw() {
+    const width = process.stdout.columns || 80;
+    const height = process.stdout.rows || 24;
+    const viewHeight = Math.max(1, height - 1);
+    let screen;
+    let footer;
+
+    if (state.body) {
+      const maxScroll = Math.max(0, state.body.length - viewHeight);
+      state.bodyScroll = Math.max(0, Math.min(state.bodyScroll, maxScroll));
+      screen = state.body.slice(state.bodyScroll, state.bodyScroll + viewHeight);
+      footer = 'j/k scroll  q/esc back';
+    } else {
+      const sel = selected();
+      const { lines, rowStarts } = renderBoardLines(state.columns, width, {
+        ...state.renderOptions,
+        color,
+        hyperlinks,
+        decorate: (card, ticket, colWidth) => (ticket === sel ? highlight(card, colWidth) : card),
+      });
+
+      // Keep the two header lines pinned and scroll the cards beneath them
+      const cardsHeight = Math.max(1, viewHeight - 2);
+      const cardLines = lines.slice(2);
+      if (sel) {
+        const start = rowStarts[state.row] - 2;
+        const end = (state.row + 1 < rowStarts.length ? rowStarts[state.row + 1] - 1 : lines.length) - 2;
+        if (start < state.scroll) state.scroll = start;
+        if (end > state.scroll + cardsHeight) state.scroll = end - cardsHeight;
+      }
+      state.scroll = Math.max(0, Math.min(state.scroll, cardLines.length - cardsHeight));
+      screen = lines.slice(0, 2).concat(cardLines.slice(state.scroll, state.scroll + cardsHeight));
+      footer = state.message || '←↓↑→/hjkl select  enter open  </> move ticket  r reload  q quit';
+    }
+
+    while (screen.length < viewHeight) screen.push('');
+    process.stdout.write('\x1b[H\x1b[2J' + screen.join('\n') + '\n' + colors.dim(truncateToWidth(footer, width - 1)));
+  }
+
+  function restoreTerminal() {
+    process.stdout.write('\x1b[?25h\x1b[?1049l');
+    process.stdin.setRawMode(false);
+  }
+
+  // Start-up errors are reported before the terminal is taken over
+  browser.show(load());
+
+  readline.emitKeypressEvents(process.stdin);
+  process.stdin.setRawMode(true);
+  process.stdin.on('keypress', (str, key) => {
+    try {
+      if (browser.handleKey(str, key) === 'quit') {
+        restoreTerminal();
+        process.exit(0);
+      }
+      draw();
+    } catch (err) {
+      restoreTerminal();
+      throw err;
+    }
+  });
+  process.stdout.on('resize', draw);
+  process.stdout.write('\x1b[?1049h\x1b[?25l');
+  draw();
+}
+
+module.exports = { createBrowser, runInteractive };
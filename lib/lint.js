@@ -0,0 +1,36 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { listTicketFiles, parseTicketContent } = require('./tickets');
+const { isKnownStatus } = require('./board');
+
+// Check every ticket file in a directory. Returns the number of files checked
+// and a `{ file, line, message }` entry per problem, in file and line order.
+function lintTickets(ticketsDir, config) {
+  const seenIds = new Map();
+  const problems = [];
+  let checked = 0;
+
+  for (const file of listTicketFiles(ticketsDir, config.recursive)) {
+    const { ticket, diagnostics, fieldLines } = parseTicketContent(fs.readFileSync(file, 'utf8'), file);
+    checked++;
+
+    if (ticket && !isKnownStatus(config, ticket.status)) {
+      diagnostics.push({ line: fieldLines.status || 1, message: `unknown status "${ticket.status}"` });
+    }
+    for (const d of diagnostics.sort((a, b) => a.line - b.line)) {
+      problems.push({ file, line: d.line, message: d.message });
+    }
+    if (!ticket) continue;
+    if (seenIds.has(ticket.id)) {
+      problems.push({ file, line: 1, message: `duplicate id "${ticket.id}" (also in ${path.basename(seenIds.get(ticket.id))})` });
+    } else {
+      seenIds.set(ticket.id, file);
+    }
+  }
+
+  return { checked, problems };
+}
+
+module.exports = { lintTickets };
@@ -0,0 +1,165 @@
+'use strict';
+
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { readJSONCache, writeJSONCache } = require('./cache');
+
+// --- links ---
+
+function isWebURL(url) {
+  return typeof url === 'string' && /^https?:\/\//i.test(url);
+}
+
+// Short form of a pull request URL: org/repo#12 for GitHub-style URLs,
+// group/repo!12 for GitLab merge requests. Anything else is returned as is.
+function shortPRLabel(url) {
+  const github = /^https?:\/\/[^/]+\/([^/]+\/[^/]+)\/pulls?\/(\d+)\/?(?:[?#].*)?$/i.exec(url);
+  if (github) return `${github[1]}#${github[2]}`;
+  const gitlab = /^https?:\/\/[^/]+\/(.+?)\/-\/merge_requests\/(\d+)\/?(?:[?#].*)?$/i.exec(url);
+  if (gitlab) return `${gitlab[1]}!${gitlab[2]}`;
+  return url;
+}
+
+// An OSC 8 terminal hyperlink: `text` is shown, `url` opens on click
+function hyperlink(url, text) {
+  return `\x1b]8;;${url}\x1b\\${text}\x1b]8;;\x1b\\`;
+}
+
+// --- status providers ---
+
+const PR_STATES = ['open', 'draft', 'merged', 'closed'];
+const CHECK_STATES = ['passing', 'failing', 'pending'];
+const PROVIDER_TIMEOUT_MS = 10000;
+
+function normalizeStatus(status) {
+  if (!status || !PR_STATES.includes(status.state)) return null;
+  return { state: status.state, checks: CHECK_STATES.includes(status.checks) ? status.checks : null };
+}
+
+function run(command, args) {
+  return execFileSync(command, args, {
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'ignore'],
+    timeout: PROVIDER_TIMEOUT_MS,
+  });
+}
+
+// Summarize GitHub's statusCheckRollup
+function checkState(checks) {
+  if (!checks.length) return null;
+  const conclusion = (c) => String(c.conclusion || c.state || '').toUpperCase();
+  if (checks.some(c => ['FAILURE', 'ERROR', 'CANCELLED', 'TIMED_OUT'].includes(conclusion(c)))) return 'failing';
+  if (checks.some(c => c.status && c.status !== 'COMPLETED')) return 'pending';
+  return 'passing';
+}
+
+// Asks the GitHub CLI about one pull request at a time
+function ghProvider(urls) {
+  const statuses = {};
+  for (const url of urls) {
+    let pr;
+    try {
+      pr = JSON.parse(run('gh', ['pr', 'view', url, '--json', 'state,isDraft,statusCheckRollup']));
+    } catch {
+      continue;
+    }
+    statuses[url] = {
+      state: pr.isDraft ? 'draft' : String(pr.state).toLowerCase(),
+      checks: checkState(pr.statusCheckRollup || []),
+    };
+  }
+  return statuses;
+}
+
+// Runs `command` with every URL as an argument. It prints a JSON object of
+// url -> { state, checks } and leaves out the ones it knows nothing about.
+function commandProvider(command) {
+  return (urls) => {
+    try {
+      return JSON.parse(run(command[0], [...command.slice(1), ...urls]));
+    } catch {
+      return {};
+    }
+  };
+}
+
+const PROVIDERS = {
+  gh: () => ghProvider,
+  command: (settings) => commandProvider(settings.command),
+};
+
+// Anyone who can commit board.json can change its command, so a command
+// only runs when TK_ALLOW_PR_COMMAND names that exact command line (several
+// are separated like PATH entries)
+function commandAllowed(settings, env = process.env) {
+  if (settings.provider !== 'command') return true;
+  const allowed = (env.TK_ALLOW_PR_COMMAND || '').split(path.delimiter);
+  return allowed.includes(settings.command.join(' '));
+}
+
+// --- cache ---
+
+function defaultCacheFile() {
+  const base = process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+  return path.join(base, 'ticket-board', 'pr-status.json');
+}
+
+// Look up the state of pull requests. `settings` is the normalized
+// `prStatus` of board.json; answers are cached on disk for `settings.ttl`
+// seconds, and so are URLs the provider had no answer for, so a failing
+// provider isn't asked again on every run. Returns a Map of url -> { state,
+// checks }; URLs no provider answered for are left out.
+function loadPRStatuses(urls, settings, options = {}) {
+  const now = options.now || Date.now();
+  const cacheFile = options.cacheFile || defaultCacheFile();
+  const cache = readJSONCache(cacheFile);
+  const statuses = new Map();
+
+  const stale = [];
+  for (const url of new Set(urls.filter(isWebURL))) {
+    const entry = cache[url];
+    if (entry && now - entry.at < settings.ttl * 1000) {
+      const status = normalizeStatus(entry.status);
+      if (status) statuses.set(url, status);
+    } else {
+      stale.push(url);
+    }
+  }
+  if (!stale.length) return statuses;
+
+  const answers = PROVIDERS[settings.provider](settings)(stale) || {};
+  for (const url of stale) {
+    const status = normalizeStatus(answers[url]);
+    if (status) statuses.set(url, status);
+    cache[url] = { at: now, status };
+  }
+  writeJSONCache(cacheFile, cache);
+  return statuses;
+}
+
+// Set `prStatus` on every ticket whose PR a provider knows about
+function attachPRStatus(tickets, settings, options) {
+  const statuses = loadPRStatuses(tickets.map(t => t.pr), settings, options);
+  for (const ticket of tickets) {
+    if (statuses.has(ticket.pr)) ticket.prStatus = statuses.get(ticket.pr);
+  }
+  return tickets;
+}
+
+// A status from loadPRStatuses() as its state plus a mark for the checks
+function describePRStatus(status) {
+  const marks = { passing: ' \u2713', failing: ' \u2717', pending: ' \u25cb' };
+  return status.state + (status.checks ? marks[status.checks] : '');
+}
+
+module.exports = {
+  PROVIDER_NAMES: Object.keys(PROVIDERS),
+  isWebURL,
+  shortPRLabel,
+  commandAllowed,
+  hyperlink,
+  loadPRStatuses,
+  attachPRStatus,
+  describePRStatus,
+};
@@ -0,0 +1,102 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { BoardError } = require('./errors');
+const { loadTickets, loadTicketsAsync } = require('./tickets');
+
+// A board can gather the tickets of several repositories. Each one is a
+// project: a name plus its .tickets directory.
+
+// --- resolving projects ---
+
+// Accept a repository root as well as its .tickets directory
+function ticketsDirOf(dir) {
+  const nested = path.join(dir, '.tickets');
+  if (path.basename(dir) !== '.tickets' && fs.existsSync(nested) && fs.statSync(nested).isDirectory()) return nested;
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) throw new BoardError(`no tickets directory at ${dir}`);
+  return dir;
+}
+
+// The repository name for `repo/.tickets`, the directory name otherwise
+function projectName(ticketsDir) {
+  const resolved = path.resolve(ticketsDir);
+  return path.basename(path.basename(resolved) === '.tickets' ? path.dirname(resolved) : resolved);
+}
+
+// Projects for a list of `--dir` arguments. Names come from the directories;
+// `name=dir` picks one explicitly.
+function projectsFromDirs(dirs) {
+  return checkNames(dirs.map(arg => {
+    const match = arg.match(/^([\w.-]+)=(.+)$/);
+    const dir = ticketsDirOf(match ? match[2] : arg);
+    return { name: match ? match[1] : projectName(dir), dir };
+  }));
+}
+
+// Projects listed in a workspace file: { "projects": { "name": "dir" } } with
+// directories relative to the file.
+function loadWorkspace(file) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new BoardError(`${file}: ${err.code === 'ENOENT' ? 'no such file' : err.message}`);
+  }
+  const projects = raw && raw.projects;
+  if (!projects || typeof projects !== 'object' || Array.isArray(projects) || !Object.keys(projects).length) {
+    throw new BoardError(`${file}: "projects" must be an object of project name -> tickets directory`);
+  }
+  const base = path.dirname(path.resolve(file));
+  return checkNames(Object.entries(projects).map(([name, dir]) => {
+    if (typeof dir !== 'string' || !dir) throw new BoardError(`${file}: projects.${name} must be a directory path`);
+    if (!/^[\w.-]+$/.test(name)) throw new BoardError(`${file}: "${name}" is not a valid project name`);
+    return { name, dir: ticketsDirOf(path.resolve(base, dir)) };
+  }));
+}
+
+function checkNames(projects) {
+  const seen = new Set();
+  for (const { name } of projects) {
+    if (seen.has(name)) {
+      throw new BoardError(`two projects are called "${name}"; name them with --dir NAME=DIR`);
+    }
+    seen.add(name);
+  }
+  return projects;
+}
+
+// --- loading ---
+
+// Load the tickets of every project. Each ticket records its `project`, and
+// IDs become `project/id` so the same ID in two repositories stays two
+// tickets. Deps and parents point into the ticket's own project unless they
+// already name one (`web/ab-12`). `options` are passed on to loadTickets().
+function loadProjectTickets(projects, options = {}) {
+  return projects.flatMap(({ name, dir }) => qualifyTickets(name, loadTickets(dir, options)));
+}
+
+// loadProjectTickets() with the files read concurrently
+async function loadProjectTicketsAsync(projects, options = {}) {
+  const loaded = await Promise.all(projects.map(({ dir }) => loadTicketsAsync(dir, options)));
+  return projects.flatMap(({ name }, i) => qualifyTickets(name, loaded[i]));
+}
+
+function qualifyTickets(project, tickets) {
+  const qualify = (id) => (id.includes('/') ? id : `${project}/${id}`);
+  return tickets.map(t => ({
+    ...t,
+    id: qualify(t.id),
+    project,
+    deps: t.deps.map(qualify),
+    parent: t.parent ? qualify(t.parent) : t.parent,
+  }));
+}
+
+module.exports = {
+  projectName,
+  projectsFromDirs,
+  loadWorkspace,
+  loadProjectTickets,
+  loadProjectTicketsAsync,
+};
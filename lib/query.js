@@ -0,0 +1,196 @@
+'use strict';
+
+const { BoardError } = require('./errors');
+
+// A query is a list of whitespace-separated terms that must all match:
+//
+//   assignee:(ham,ewe)   field equals any of the values (case-insensitive)
+//   -tag:blocked         leading `-` negates a term
+//   priority:<=1         <, <=, >, >=, = compare numerically, else as strings
+//   title~"auth"         substring match; title~/^fix/i matches a regex
+//
+// Any frontmatter field can be queried. `tag`, `dep` and `link` match if any
+// list entry does, `is:blocked` matches tickets with open deps and
+// `is:stale` tickets left untouched for longer than their column allows.
+
+function parseQuery(input) {
+  const terms = [];
+  let pos = 0;
+
+  function fail(message, at = pos) {
+    throw new BoardError(`invalid query: ${message}`, { input, position: at });
+  }
+
+  function isSpace(ch) {
+    return ch === ' ' || ch === '\t' || ch === '\n';
+  }
+
+  function readValue(stopChars = '') {
+    const start = pos;
+    const quote = input[pos];
+    if (quote === '"' || quote === "'") {
+      let value = '';
+      pos++;
+      while (pos < input.length && input[pos] !== quote) {
+        if (input[pos] === '\\' && pos + 1 < input.length) pos++;
+        value += input[pos++];
+      }
+      if (pos >= input.length) fail('unterminated string', start);
+      pos++;
+      return value;
+    }
+    while (pos < input.length && !isSpace(input[pos]) && !stopChars.includes(input[pos])) pos++;
+    if (pos === start) fail('expected a value');
+    return input.slice(start, pos);
+  }
+
+  function readRegex() {
+    const start = pos++;
+    let source = '';
+    while (pos < input.length && input[pos] !== '/') {
+      if (input[pos] === '\\' && pos + 1 < input.length) source += input[pos++];
+      source += input[pos++];
+    }
+    if (pos >= input.length) fail('unterminated regex', start);
+    pos++;
+    const flags = /^[a-z]*/.exec(input.slice(pos))[0];
+    pos += flags.length;
+    try {
+      // Stateful flags would make repeated .test() calls skip matches
+      return new RegExp(source, flags.replace(/[gy]/g, ''));
+    } catch (err) {
+      return fail(`invalid regex: ${err.message}`, start);
+    }
+  }
+
+  while (true) {
+    while (pos < input.length && isSpace(input[pos])) pos++;
+    if (pos >= input.length) break;
+
+    const negate = input[pos] === '-';
+    if (negate) pos++;
+    const name = /^[A-Za-z_][A-Za-z0-9_-]*/.exec(input.slice(pos));
+    if (!name) fail('expected a field name');
+    const field = name[0].toLowerCase();
+    pos += name[0].length;
+
+    if (input[pos] === '~') {
+      pos++;
+      const regex = input[pos] === '/'
+        ? readRegex()
+        : new RegExp(readValue().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      terms.push({ field, op: 'match', regex, negate });
+    } else if (input[pos] === ':') {
+      pos++;
+      if (input[pos] === '(') {
+        const open = pos++;
+        const values = [];
+        while (true) {
+          values.push(readValue(',)'));
+          if (input[pos] === ',') {
+            pos++;
+          } else if (input[pos] === ')') {
+            pos++;
+            break;
+          } else {
+            fail(`expected ',' or ')' to close the list opened at column ${open + 1}`);
+          }
+        }
+        terms.push({ field, op: 'eq', values, negate });
+      } else {
+        const op = /^(<=|>=|<|>|=)?/.exec(input.slice(pos))[0];
+        pos += op.length;
+        const ops = { '': 'eq', '=': 'eq', '<': 'lt', '<=': 'le', '>': 'gt', '>=': 'ge' };
+        terms.push({ field, op: ops[op], values: [readValue()], negate });
+      }
+    } else {
+      fail(`expected ':' or '~' after "${name[0]}"`);
+    }
+
+    if (pos < input.length && !isSpace(input[pos])) fail(`unexpected "${input[pos]}"`);
+  }
+
+  return terms;
+}
+
+// Values of a field on a ticket, as strings. Missing fields have no values,
+// so they never match (and always match when negated).
+function fieldValues(ticket, field) {
+  switch (field) {
+    case 'tag': case 'tags': return ticket.tags;
+    case 'dep': case 'deps': return ticket.deps;
+    case 'link': case 'links': return ticket.links;
+    case 'is': return [
+      ...(ticket.blockedBy && ticket.blockedBy.length ? ['blocked'] : []),
+      ...(ticket.stale ? ['stale'] : []),
+    ];
+  }
+  let value = ticket[field];
+  if (value === undefined || typeof value === 'object') value = ticket.fields[field];
+  if (Array.isArray(value)) return value.map(String);
+  return value === undefined || value === null || value === '' ? [] : [String(value)];
+}
+
+function compareValues(a, b) {
+  const na = Number(a);
+  const nb = Number(b);
+  if (a !== '' && b !== '' && !isNaN(na) && !isNaN(nb)) return na - nb;
+  return a.localeCompare(b);
+}
+
+function matchTerm(term, ticket) {
+  const values = fieldValues(ticket, term.field);
+  const matched = values.some(v => {
+    switch (term.op) {
+      case 'match': return term.regex.test(v);
+      case 'eq': return term.values.some(q => v.toLowerCase() === q.toLowerCase());
+      case 'lt': return compareValues(v, term.values[0]) < 0;
+      case 'le': return compareValues(v, term.values[0]) <= 0;
+      case 'gt': return compareValues(v, term.values[0]) > 0;
+      case 'ge': return compareValues(v, term.values[0]) >= 0;
+    }
+    return false;
+  });
+  return term.negate ? !matched : matched;
+}
+
+// Compile filters into one term list: every `query` expression plus the
+// `assignee`, `tag`, `project` (one name or a list), `ready` and `stale`
+// shorthands.
+// `options.resolveName` maps the names assignee terms look for, so they can
+// be written as any of a person's aliases.
+function compileFilters(filters = {}, options = {}) {
+  const terms = [];
+  for (const input of [].concat(filters.query || [])) {
+    terms.push(...parseQuery(input));
+  }
+
+  if (filters.assignee) terms.push({ field: 'assignee', op: 'eq', values: [filters.assignee], negate: false });
+  if (filters.tag) terms.push({ field: 'tag', op: 'eq', values: [filters.tag], negate: false });
+  if (filters.project && [].concat(filters.project).length) {
+    terms.push({ field: 'project', op: 'eq', values: [].concat(filters.project), negate: false });
+  }
+  if (filters.ready) {
+    terms.push({ field: 'status', op: 'eq', values: ['open'], negate: false });
+    terms.push({ field: 'is', op: 'eq', values: ['blocked'], negate: true });
+  }
+  if (filters.stale) terms.push({ field: 'is', op: 'eq', values: ['stale'], negate: false });
+  if (options.resolveName) {
+    for (const term of terms) {
+      if (term.field === 'assignee' && term.op === 'eq') term.values = term.values.map(options.resolveName);
+    }
+  }
+  return terms;
+}
+
+function applyFilters(tickets, filters, options) {
+  const terms = compileFilters(filters, options);
+  return tickets.filter(t => terms.every(term => matchTerm(term, t)));
+}
+
+module.exports = {
+  parseQuery,
+  matchTerm,
+  compileFilters,
+  applyFilters,
+};
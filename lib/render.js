@@ -0,0 +1,333 @@
+'use strict';
+
+const { laneColumns, limitColumns } = require('./board');
+const { DEFAULT_CARD } = require('./config');
+const { createStyler, resolveTheme } = require('./theme');
+const { stripAnsi, stringWidth, truncateToWidth, wrapToWidth } = require('./width');
+const { describePRStatus, hyperlink, isWebURL, shortPRLabel } = require('./pr');
+const { ticketAge } = require('./age');
+
+const GAP = 2;
+// Below this many cells per column the board stacks its columns vertically
+const MIN_COLUMN_WIDTH = 24;
+// Width of an epic's progress bar
+const PROGRESS_CELLS = 5;
+const DEFAULT_THEME = resolveTheme('dark');
+
+// --- colors ---
+
+function createColors(enabled) {
+  const wrap = (code) => (s) => (enabled ? `\x1b[${code}m${s}\x1b[0m` : s);
+  return {
+    bold: wrap('1'),
+    red: wrap('31'),
+    dim: wrap('2'),
+    cyan: wrap('36'),
+    green: wrap('32'),
+    blueUnderline: wrap('34;4'),
+  };
+}
+
+function padRight(s, width) {
+  const pad = Math.max(0, width - stringWidth(s));
+  return s + ' '.repeat(pad);
+}
+
+// Reverse video, used for the interactive cursor and freshly changed cards.
+// It is re-applied after every reset so colored spans stay highlighted.
+function highlight(lines, colWidth) {
+  return lines.map(line => `\x1b[7m${padRight(line, colWidth).replace(/\x1b\[0m/g, '\x1b[0m\x1b[7m')}\x1b[0m`);
+}
+
+// --- cards ---
+
+// With hyperlinks the URL hides behind a short org/repo#12 label; otherwise
+// it is shown in full so it can be copied. A known PR state goes first, where
+// truncation cannot cut it off.
+function formatPR(ticket, options) {
+  if (!ticket.pr) return null;
+  const label = options.hyperlinks && isWebURL(ticket.pr) ? shortPRLabel(ticket.pr) : ticket.pr;
+  return ticket.prStatus ? `${describePRStatus(ticket.prStatus)} ${label}` : label;
+}
+
+function priorityRole(p) {
+  return `priority${Math.max(0, Math.min(4, p))}`;
+}
+
+// "3d", "5w" or "4mo" for an age in days. Tickets touched today show none.
+function formatAge(days) {
+  if (days === null || days < 1) return null;
+  if (days < 14) return `${days}d`;
+  if (days < 60) return `${Math.floor(days / 7)}w`;
+  return `${Math.floor(days / 30)}mo`;
+}
+
+// "\u2593\u2593\u2593\u2591\u2591 3/5" for an epic with three of five children closed
+function formatProgress({ done, total }) {
+  const filled = Math.round((done / total) * PROGRESS_CELLS);
+  return `${'\u2593'.repeat(filled)}${'\u2591'.repeat(PROGRESS_CELLS - filled)} ${done}/${total}`;
+}
+
+// Card fields that are not read straight from the frontmatter. Each returns
+// the texts to show (empty when there is nothing) and the theme role they
+// are styled with; truncation happens before styling. `options` are the
+// renderCard() options.
+const CARD_FIELDS = {
+  id: (t) => [[t.id], t.project ? 'project' : null],
+  priority: (t) => [[`P${t.priority}`], priorityRole(t.priority)],
+  title: (t) => [[t.title], null],
+  status: (t) => [[t.status], 'field'],
+  project: (t) => [t.project ? [t.project] : [], 'project'],
+  assignee: (t) => [t.assignee ? [`@${t.assignee}`] : [], 'assignee'],
+  tags: (t) => [t.tags.map(tag => `#${tag}`), 'tag'],
+  pr: (t, options) => [t.pr ? [formatPR(t, options)] : [], 'pr'],
+  parent: (t) => [t.parent ? [`\u2191 ${t.parent}`] : [], 'parent'],
+  age: (t) => {
+    if (t.status === 'closed') return [[], 'age'];
+    const age = formatAge(t.age !== undefined ? t.age : ticketAge(t));
+    return [age ? [age] : [], t.stale ? 'stale' : 'age'];
+  },
+  progress: (t) => [t.progress ? [formatProgress(t.progress)] : [], 'progress'],
+  deps: (t) => {
+    const n = t.blockedBy ? t.blockedBy.length : 0;
+    return [n ? [`\u26d4 ${n} ${n === 1 ? 'dep' : 'deps'}`] : [], 'blocked'];
+  },
+};
+
+const hasOwn = (object, key) => Boolean(object) && Object.prototype.hasOwnProperty.call(object, key);
+
+function fieldTexts(ticket, field, options) {
+  if (hasOwn(CARD_FIELDS, field)) return CARD_FIELDS[field](ticket, options);
+  const value = hasOwn(ticket.fields, field) ? ticket.fields[field] : undefined;
+  if (value === undefined || value === '') return [[], 'field'];
+  return [[Array.isArray(value) ? value.join(', ') : String(value)], 'field'];
+}
+
+// Render a ticket as lines of at most `colWidth - 1` terminal cells (fields
+// are truncated individually). `options.card` is a parsed card template (see
+// parseCardTemplate()); `theme` and `tagColors` come from the board config,
+// and nothing is styled unless `color` is set. With `wrap` the title runs on
+// over as many lines as it needs instead of being truncated, and with
+// `hyperlinks` the PR line is an OSC 8 link.
+function renderCard(ticket, colWidth, options = {}) {
+  const styler = createStyler(options.theme || DEFAULT_THEME, options);
+  const template = options.card || DEFAULT_CARD;
+  const maxTextWidth = colWidth - 1;
+  const blocked = ticket.blockedBy && ticket.blockedBy.length > 0;
+  const lines = [];
+
+  for (const specs of template) {
+    const parts = [];
+    let continued = [];
+    for (const { field, width } of specs) {
+      const [texts, role] = fieldTexts(ticket, field, options);
+      const fieldWidth = Math.min(width || maxTextWidth, maxTextWidth);
+      for (const text of texts) {
+        if (options.wrap && field === 'title') {
+          const [first, ...rest] = wrapToWidth(text, fieldWidth);
+          parts.push(first);
+          continued = continued.concat(rest);
+          continue;
+        }
+        let shown = truncateToWidth(text, fieldWidth);
+        if (field === 'pr' && options.hyperlinks && isWebURL(ticket.pr)) shown = hyperlink(ticket.pr, shown);
+        if (field === 'tags') parts.push(styler.tag(text.slice(1), shown));
+        else parts.push(role ? styler.style(role, shown) : shown);
+      }
+    }
+    if (!parts.length) continue;
+
+    // A blocked card fades its id and title lines
+    const fades = blocked && specs.some(s => s.field === 'id' || s.field === 'title');
+    for (const line of [parts.join('  '), ...continued]) {
+      lines.push(fades ? styler.style('blockedCard', line) : line);
+    }
+  }
+
+  return lines;
+}
+
+// --- board layout ---
+
+function columnWidth(termWidth, numCols) {
+  return Math.floor((termWidth - GAP * (numCols - 1)) / numCols);
+}
+
+// Columns cut short by limitColumns() still count every ticket
+function columnHeader(col, styler) {
+  if (!col.wip || col.wip.total === null) return styler.style('header', col.label);
+  const count = col.tickets.length + (col.more || 0);
+  return styler.style(count > col.wip.total ? 'wipExceeded' : 'header', `${col.label} ${count}/${col.wip.total}`);
+}
+
+function moreLine(col, styler) {
+  return styler.style('muted', `+${col.more} more`);
+}
+
+function renderHeaderLines(columns, colWidth, options) {
+  const styler = createStyler(options.theme || DEFAULT_THEME, options);
+  const spacer = ' '.repeat(GAP);
+  const separator = '\u2500'.repeat(colWidth);
+  return [
+    columns.map(c => padRight(columnHeader(c, styler), colWidth)).join(spacer),
+    columns.map(() => separator).join(spacer),
+  ];
+}
+
+// Lay the cards of each column out side by side. Returns the output lines plus
+// the index of the first line of each card row, so callers can scroll to a
+// card. `options.decorate(lines, ticket, colWidth)` may restyle a card.
+function renderCardRows(columns, colWidth, options) {
+  const spacer = ' '.repeat(GAP);
+  const lines = [];
+  const rowStarts = [];
+
+  // Build card lines for each column, then interleave
+  const columnCards = columns.map(col => col.tickets.map(ticket => {
+    const card = renderCard(ticket, colWidth, options);
+    return options.decorate ? options.decorate(card, ticket, colWidth) : card;
+  }));
+
+  // Find max number of cards across columns
+  const maxCards = Math.max(...columnCards.map(c => c.length), 0);
+
+  for (let cardIdx = 0; cardIdx < maxCards; cardIdx++) {
+    rowStarts.push(lines.length);
+
+    // Find the max lines for this card row
+    let maxLines = 0;
+    for (const col of columnCards) {
+      if (cardIdx < col.length) {
+        maxLines = Math.max(maxLines, col[cardIdx].length);
+      }
+    }
+
+    for (let lineIdx = 0; lineIdx < maxLines; lineIdx++) {
+      const row = columns.map((_, colIdx) => {
+        const cards = columnCards[colIdx];
+        if (cardIdx < cards.length && lineIdx < cards[cardIdx].length) {
+          return padRight(cards[cardIdx][lineIdx], colWidth);
+        }
+        return ' '.repeat(colWidth);
+      });
+      lines.push(row.join(spacer));
+    }
+
+    // Blank line between cards
+    if (cardIdx < maxCards - 1) {
+      lines.push('');
+    }
+  }
+
+  if (columns.some(c => c.more)) {
+    const styler = createStyler(options.theme || DEFAULT_THEME, options);
+    if (lines.length) lines.push('');
+    lines.push(columns.map(c => padRight(c.more ? moreLine(c, styler) : '', colWidth)).join(spacer));
+  }
+
+  return { lines, rowStarts };
+}
+
+// One column after another, each at the full terminal width, for terminals
+// too narrow to put the columns side by side.
+function renderStackedColumns(columns, termWidth, options) {
+  const styler = createStyler(options.theme || DEFAULT_THEME, options);
+  const lines = [];
+  columns.forEach((col, idx) => {
+    if (idx) lines.push('');
+    const count = col.wip && col.wip.total !== null ? '' : ` ${col.tickets.length + (col.more || 0)}`;
+    lines.push(columnHeader(col, styler) + styler.style('muted', count), '\u2500'.repeat(termWidth));
+    col.tickets.forEach((ticket, i) => {
+      if (i) lines.push('');
+      const card = renderCard(ticket, termWidth, options);
+      lines.push(...(options.decorate ? options.decorate(card, ticket, termWidth) : card));
+    });
+    if (col.more) lines.push('', moreLine(col, styler));
+  });
+  return lines;
+}
+
+// The card template, theme and card limits of a board config, as renderer
+// options
+function boardRenderOptions(config) {
+  if (!config) return {};
+  return {
+    theme: config.theme,
+    tagColors: config.tagColors,
+    card: config.card,
+    wrap: config.wrap,
+    limit: config.limit,
+    closedLimit: config.closedLimit,
+  };
+}
+
+function renderBoardLines(columns, termWidth, options = {}) {
+  const colWidth = columnWidth(termWidth, columns.length);
+  const header = renderHeaderLines(columns, colWidth, options);
+  const cards = renderCardRows(columns, colWidth, options);
+  return {
+    lines: header.concat(cards.lines),
+    rowStarts: cards.rowStarts.map(i => i + header.length),
+  };
+}
+
+function renderSwimlaneLines(columns, lanes, termWidth, options = {}) {
+  const styler = createStyler(options.theme || DEFAULT_THEME, options);
+  const colWidth = columnWidth(termWidth, columns.length);
+  const lines = renderHeaderLines(columns, colWidth, options);
+
+  for (const lane of lanes) {
+    const cols = limitColumns(laneColumns(columns, lane), options);
+    const counts = cols.map(c => `${c.label} ${c.tickets.length + c.more}`).join(' · ');
+    lines.push('', `${styler.style('header', lane.label)}  ${styler.style('muted', counts)}`, '');
+    lines.push(...renderCardRows(cols, colWidth, options).lines);
+  }
+
+  return { lines };
+}
+
+function renderStackedLines(columns, lanes, termWidth, options = {}) {
+  const styler = createStyler(options.theme || DEFAULT_THEME, options);
+  const limit = (cols) => limitColumns(cols, options);
+  if (!lanes) return { lines: renderStackedColumns(limit(columns), termWidth, options) };
+
+  const lines = [];
+  for (const lane of lanes) {
+    if (lines.length) lines.push('');
+    lines.push(styler.style('header', lane.label), '');
+    lines.push(...renderStackedColumns(limit(laneColumns(columns, lane)), termWidth, options));
+  }
+  return { lines };
+}
+
+// Render a board from loadBoard() for the terminal. Columns narrower than
+// MIN_COLUMN_WIDTH are stacked instead of shown side by side.
+//
+//   width     terminal width in columns (default 80)
+//   color     emit ANSI colors (default false)
+//   decorate  (lines, ticket, colWidth) => lines, to restyle individual cards
+//   hyperlinks  make PR links clickable with OSC 8 escapes (default false)
+//   limit     show at most this many cards per column, with a "+N more" line
+//   theme, tagColors, card, wrap, closedLimit   override the board config's
+function renderBoard(board, options = {}) {
+  const width = options.width || 80;
+  options = { ...boardRenderOptions(board.config), ...options };
+  if (board.columns.length && columnWidth(width, board.columns.length) < MIN_COLUMN_WIDTH) {
+    return renderStackedLines(board.columns, board.lanes, width, options).lines.join('\n');
+  }
+  const { lines } = board.lanes
+    ? renderSwimlaneLines(board.columns, board.lanes, width, options)
+    : renderBoardLines(limitColumns(board.columns, options), width, options);
+  return lines.join('\n');
+}
+
+module.exports = {
+  createColors,
+  stripAnsi,
+  padRight,
+  highlight,
+  renderCard,
+  boardRenderOptions,
+  renderBoardLines,
+  renderBoard,
+};
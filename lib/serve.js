@@ -0,0 +1,95 @@
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const { BoardError } = require('./errors');
+const { BOARD_CONFIG_FILE } = require('./config');
+const { isTicketFile } = require('./tickets');
+const { formatHTML } = require('./html');
+
+const SERVE_DEBOUNCE_MS = 100;
+const KEEPALIVE_MS = 30000;
+
+// Serve the HTML board on localhost. `load()` is called for every page
+// request so the page always reflects the files on disk, and a page that
+// fails to build is answered with a 500; browsers listening
+// on /events are told to reload when anything in `ticketsDir` changes,
+// including its subdirectories when `recursive` is set. Resolves with the
+// listening http.Server.
+function serveBoard({ ticketsDir, load, port = 8080, host = '127.0.0.1', recursive = false }) {
+  const clients = new Set();
+  let pendingTimer = null;
+
+  function notify() {
+    pendingTimer = null;
+    for (const res of clients) res.write('data: change\n\n');
+  }
+
+  let watcher;
+  try {
+    watcher = fs.watch(ticketsDir, { recursive }, (event, name) => {
+      if (name && !isTicketFile(name) && name !== BOARD_CONFIG_FILE) return;
+      if (!pendingTimer) pendingTimer = setTimeout(notify, SERVE_DEBOUNCE_MS);
+    });
+  } catch {
+    throw new BoardError(`cannot watch ${ticketsDir}`);
+  }
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (req.method !== 'GET') {
+      res.writeHead(405, { Allow: 'GET' }).end();
+      return;
+    }
+
+    if (url.pathname === '/events') {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+      });
+      res.write(': connected\n\n');
+      clients.add(res);
+      req.on('close', () => clients.delete(res));
+      return;
+    }
+
+    if (url.pathname !== '/') {
+      res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' }).end('Not found\n');
+      return;
+    }
+
+    let page;
+    try {
+      page = formatHTML(load(), { liveReload: true });
+    } catch (err) {
+      // A bug should not take the server down, but it should not go unnoticed
+      if (!(err instanceof BoardError)) console.error(err);
+      res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' }).end(`Error: ${err.message}\n`);
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(page);
+  });
+
+  // Comment lines keep idle event streams from being dropped by proxies
+  const keepalive = setInterval(() => {
+    for (const res of clients) res.write(': keepalive\n\n');
+  }, KEEPALIVE_MS);
+  keepalive.unref();
+
+  server.on('close', () => {
+    watcher.close();
+    clearInterval(keepalive);
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', (err) => {
+      watcher.close();
+      reject(new BoardError(`cannot listen on ${host}:${port}: ${err.code || err.message}`));
+    });
+    server.listen(port, host, () => resolve(server));
+  });
+}
+
+module.exports = { serveBoard };
@@ -0,0 +1,102 @@
+'use strict';
+
+const { BoardError } = require('./errors');
+
+// Sort orders are comma-separated keys, each optionally prefixed with `-` for
+// descending: "priority,created", "-updated", "assignee,priority".
+const DEFAULT_SORT = 'priority';
+
+// --- sort keys ---
+
+function dateValue(value) {
+  const date = typeof value === 'string' && value ? new Date(value) : null;
+  return date && !isNaN(date) ? date.getTime() : null;
+}
+
+// The modification time the ticket's file had when it was read; tickets
+// read from git history have none
+function fileTime(ticket) {
+  return dateValue(ticket.mtime);
+}
+
+// When a ticket was closed: its `closed:` date, or failing that the last
+// time its file changed.
+function closedTime(ticket) {
+  const closed = dateValue(ticket.fields && ticket.fields.closed);
+  return closed !== null ? closed : fileTime(ticket) || 0;
+}
+
+// Keys that are not read straight from the frontmatter. `updated` falls back
+// to the file's modification time; `age` is the whole days a ticket has gone
+// untouched, as shown on its card, so the most recently touched come first.
+const SORT_KEYS = {
+  priority: (t) => t.priority,
+  id: (t) => t.id,
+  title: (t) => t.title,
+  created: (t) => dateValue(t.fields.created),
+  updated: (t) => {
+    const updated = dateValue(t.fields.updated);
+    return updated !== null ? updated : fileTime(t);
+  },
+  closed: (t) => (t.status === 'closed' ? closedTime(t) : null),
+  age: (t) => (t.age === undefined ? null : t.age),
+};
+
+function sortValue(ticket, key) {
+  if (SORT_KEYS[key]) return SORT_KEYS[key](ticket);
+  let value = ticket[key];
+  if (value === undefined || (typeof value === 'object' && value !== null)) value = ticket.fields[key];
+  if (Array.isArray(value)) value = value.join(',');
+  return value === undefined || value === null || value === '' ? null : value;
+}
+
+// Numbers compare numerically, everything else in natural order, so ab-9
+// comes before ab-10
+function compareValues(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  const sa = String(a);
+  const sb = String(b);
+  if (sa !== '' && sb !== '' && !isNaN(sa) && !isNaN(sb)) return Number(sa) - Number(sb);
+  return sa.localeCompare(sb, undefined, { numeric: true, sensitivity: 'base' });
+}
+
+// --- sorting ---
+
+// Parse "priority,-created" into [{ key, desc }]. Throws BoardError.
+function parseSort(spec) {
+  if (typeof spec !== 'string' || !spec.trim()) throw new BoardError('sort order must be a list of keys such as "priority,-created"');
+  return spec.split(',').map(s => s.trim()).map(part => {
+    const match = part.match(/^([+-]?)([\w-]+)$/);
+    if (!match) throw new BoardError(`invalid sort key "${part}" in "${spec}"`);
+    return { key: match[2], desc: match[1] === '-' };
+  });
+}
+
+// Sort tickets in place by parsed sort keys. Tickets without a value for a
+// key go last whichever the direction; ties fall back to the ID and then the
+// file path, so the order never depends on the order files were read in.
+function sortTickets(tickets, keys) {
+  const rows = tickets.map(ticket => ({ ticket, values: keys.map(k => sortValue(ticket, k.key)) }));
+  rows.sort((a, b) => {
+    for (let i = 0; i < keys.length; i++) {
+      const va = a.values[i];
+      const vb = b.values[i];
+      if (va === null || vb === null) {
+        if (va !== vb) return va === null ? 1 : -1;
+        continue;
+      }
+      const cmp = compareValues(va, vb);
+      if (cmp) return keys[i].desc ? -cmp : cmp;
+    }
+    return compareValues(a.ticket.id, b.ticket.id) || String(a.ticket.file).localeCompare(String(b.ticket.file));
+  });
+  rows.forEach((row, i) => { tickets[i] = row.ticket; });
+  return tickets;
+}
+
+module.exports = {
+  DEFAULT_SORT,
+  closedTime,
+  parseSort,
+  sortTickets,
+};
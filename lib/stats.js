@@ -0,0 +1,213 @@
+'use strict';
+
+const { ticketTimeline } = require('./history');
+const { createColors, padRight } = require('./render');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+const CFD_CHARS = ['\u2588', '\u2593', '\u2592', '\u2591', '#', '=', '+', '-'];
+
+// --- per-ticket timing ---
+
+// Which part of the flow a status belongs to: statuses of the first column
+// are the backlog, statuses of columns that collect `closed` are done, and
+// everything in between counts as work in progress.
+function statusRoles(config) {
+  const done = new Set(config.columns.filter(c => c.statuses.includes('closed')).flatMap(c => c.statuses));
+  const backlog = new Set(config.columns[0].statuses.filter(s => !done.has(s)));
+  return (status) => (done.has(status) ? 'done' : backlog.has(status) ? 'backlog' : 'active');
+}
+
+// Created, started and closed dates of a ticket. Lead time runs from
+// creation to closing, cycle time from the first move out of the backlog.
+function ticketTiming(ticket, timeline, role) {
+  if (!timeline.length) return null;
+  const started = timeline.find(e => role(e.status) === 'active');
+  let closedAt = null;
+  if (role(ticket.status) === 'done') {
+    for (let i = timeline.length - 1; i >= 0 && role(timeline[i].status) === 'done'; i--) closedAt = timeline[i].at;
+  }
+  return {
+    createdAt: timeline[0].at,
+    startedAt: started ? started.at : null,
+    closedAt,
+    leadDays: closedAt ? (closedAt - timeline[0].at) / DAY_MS : null,
+    cycleDays: closedAt && started && started.at <= closedAt ? (closedAt - started.at) / DAY_MS : null,
+  };
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function mean(values) {
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+function timingGroups(entries, keysOf) {
+  const groups = new Map();
+  for (const entry of entries) {
+    for (const key of keysOf(entry.ticket)) {
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(entry.timing);
+    }
+  }
+  return [...groups.entries()]
+    .sort(([a], [b]) => (a === null) - (b === null) || String(a).localeCompare(String(b)))
+    .map(([key, timings]) => {
+      const lead = timings.map(t => t.leadDays);
+      const cycle = timings.map(t => t.cycleDays).filter(d => d !== null);
+      return {
+        key,
+        closed: timings.length,
+        lead: { median: median(lead), mean: mean(lead) },
+        cycle: { median: median(cycle), mean: mean(cycle) },
+      };
+    });
+}
+
+// --- board statistics ---
+
+// Monday 00:00 UTC of the week containing `date`
+function weekStart(date) {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  return new Date(day - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+}
+
+function statusAt(timeline, at) {
+  let status = null;
+  for (const event of timeline) {
+    if (event.at > at) break;
+    status = event.status;
+  }
+  return status;
+}
+
+// Compute flow metrics for a board from loadBoard(), using status history
+// from loadStatusHistory(). `weeks` sets how far back throughput and the
+// cumulative flow diagram reach.
+function computeStats(board, history, options = {}) {
+  const now = options.now || new Date();
+  const weeks = options.weeks || 8;
+  const role = statusRoles(board.config);
+  const tickets = board.columns.flatMap(c => c.tickets);
+
+  const entries = tickets.map(ticket => {
+    const timeline = ticketTimeline(ticket, history);
+    return { ticket, timeline, timing: ticketTiming(ticket, timeline, role) };
+  });
+  const timed = entries.filter(e => e.timing);
+  const closed = timed.filter(e => e.timing.closedAt);
+
+  const firstWeek = new Date(weekStart(now) - (weeks - 1) * WEEK_MS);
+  const throughput = [];
+  for (let i = 0; i < weeks; i++) {
+    const start = new Date(firstWeek.getTime() + i * WEEK_MS);
+    const end = new Date(start.getTime() + WEEK_MS);
+    throughput.push({
+      week: start.toISOString().slice(0, 10),
+      closed: closed.filter(e => e.timing.closedAt >= start && e.timing.closedAt < end).length,
+    });
+  }
+
+  // One sample at the end of each week, the last one being now
+  const cumulativeFlow = [];
+  for (let i = 0; i < weeks; i++) {
+    const at = i === weeks - 1 ? now : new Date(firstWeek.getTime() + (i + 1) * WEEK_MS - 1);
+    const counts = Object.fromEntries(board.columns.map(c => [c.key, 0]));
+    for (const { timeline } of timed) {
+      const status = statusAt(timeline, at);
+      if (!status) continue;
+      const col = board.columns.find(c => c.statuses.includes(status)) || board.columns.find(c => c.key === 'other');
+      if (col) counts[col.key]++;
+    }
+    cumulativeFlow.push({ date: at.toISOString().slice(0, 10), counts });
+  }
+
+  return {
+    generatedAt: now.toISOString(),
+    weeks,
+    columns: board.columns.map(c => ({ key: c.key, label: c.label, count: c.tickets.length })),
+    untimed: entries.length - timed.length,
+    throughput,
+    leadTime: {
+      byAssignee: timingGroups(closed, t => [t.assignee]),
+      byTag: timingGroups(closed, t => (t.tags.length ? t.tags : [null])),
+    },
+    cumulativeFlow,
+  };
+}
+
+// --- rendering ---
+
+function formatDays(days) {
+  return days === null ? '-' : days.toFixed(1);
+}
+
+function renderTimingTable(title, groups, label, colors) {
+  const rows = groups.map(g => [label(g.key), String(g.closed), formatDays(g.lead.median), formatDays(g.cycle.median)]);
+  const header = [title, 'CLOSED', 'LEAD', 'CYCLE'];
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map(r => r[i].length)));
+  const line = (cells) => '  ' + cells.map((c, i) => (i ? c.padStart(widths[i]) : c.padEnd(widths[i]))).join('  ');
+  return [colors.dim(line(header)), ...rows.map(line)];
+}
+
+// Render stats from computeStats() as text for the terminal.
+function renderStats(stats, options = {}) {
+  const colors = createColors(options.color);
+  const width = options.width || 80;
+  const lines = [];
+
+  lines.push(colors.bold('COLUMNS'));
+  const labelWidth = Math.max(...stats.columns.map(c => c.label.length));
+  for (const col of stats.columns) lines.push(`  ${col.label.padEnd(labelWidth)}  ${String(col.count).padStart(3)}`);
+
+  lines.push('', colors.bold('THROUGHPUT') + colors.dim('  tickets closed per week'));
+  const maxClosed = Math.max(1, ...stats.throughput.map(w => w.closed));
+  const barWidth = Math.max(10, width - 20);
+  for (const week of stats.throughput) {
+    const bar = '\u2588'.repeat(Math.round((week.closed / maxClosed) * barWidth));
+    lines.push(`  ${week.week}  ${bar}${bar ? ' ' : ''}${week.closed}`);
+  }
+
+  lines.push('', colors.bold('LEAD / CYCLE TIME') + colors.dim('  median days, closed tickets'));
+  if (!stats.leadTime.byAssignee.length) {
+    lines.push(colors.dim('  no closed tickets with timing data'));
+  } else {
+    lines.push(...renderTimingTable('ASSIGNEE', stats.leadTime.byAssignee, k => (k === null ? '(no assignee)' : `@${k}`), colors));
+    lines.push('');
+    lines.push(...renderTimingTable('TAG', stats.leadTime.byTag, k => (k === null ? '(no tag)' : `#${k}`), colors));
+  }
+
+  // Stack done on the left, like the bottom band of a CFD chart
+  lines.push('', colors.bold('CUMULATIVE FLOW'));
+  const order = [...stats.columns].reverse();
+  const legend = order.map((c, i) => `${CFD_CHARS[i % CFD_CHARS.length]} ${c.label}`).join('  ');
+  lines.push(colors.dim(`  ${legend}`));
+  const maxTotal = Math.max(1, ...stats.cumulativeFlow.map(s => Object.values(s.counts).reduce((a, b) => a + b, 0)));
+  for (const sample of stats.cumulativeFlow) {
+    const total = Object.values(sample.counts).reduce((a, b) => a + b, 0);
+    let bar = '';
+    let cumulative = 0;
+    order.forEach((col, i) => {
+      cumulative += sample.counts[col.key] || 0;
+      const end = Math.round((cumulative / maxTotal) * barWidth);
+      bar += CFD_CHARS[i % CFD_CHARS.length].repeat(Math.max(0, end - bar.length));
+    });
+    lines.push(`  ${sample.date}  ${padRight(bar, barWidth)} ${total}`);
+  }
+
+  if (stats.untimed) {
+    const n = stats.untimed;
+    lines.push('', colors.dim(`${n} ${n === 1 ? 'ticket has' : 'tickets have'} no created: date or git history and ${n === 1 ? 'is' : 'are'} not in the timings`));
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  computeStats,
+  renderStats,
+};
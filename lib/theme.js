@@ -0,0 +1,139 @@
+'use strict';
+
+const { BoardError } = require('./errors');
+
+// --- styles ---
+
+const ATTRIBUTES = { bold: '1', dim: '2', italic: '3', underline: '4', inverse: '7' };
+
+const COLOR_NAMES = ['black', 'red', 'green', 'yellow', 'blue', 'magenta', 'cyan', 'white'];
+
+// Parse a style such as "bold red", "underline #61afef" or "208" (a 256-color
+// palette index) into a list of SGR codes. Throws an Error naming the token
+// it does not understand.
+function parseStyle(spec) {
+  if (typeof spec !== 'string') throw new Error('must be a string such as "bold red"');
+  const codes = [];
+  for (const token of spec.trim().split(/\s+/).filter(Boolean)) {
+    const name = token.toLowerCase();
+    let match;
+    if (ATTRIBUTES[name]) {
+      codes.push(ATTRIBUTES[name]);
+    } else if (COLOR_NAMES.includes(name)) {
+      codes.push(String(30 + COLOR_NAMES.indexOf(name)));
+    } else if ((match = name.match(/^bright-(\w+)$/)) && COLOR_NAMES.includes(match[1])) {
+      codes.push(String(90 + COLOR_NAMES.indexOf(match[1])));
+    } else if (name === 'gray' || name === 'grey') {
+      codes.push('90');
+    } else if (/^\d+$/.test(name) && Number(name) <= 255) {
+      codes.push(`38;5;${Number(name)}`);
+    } else if ((match = name.match(/^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/))) {
+      codes.push(`38;2;${match.slice(1).map(h => parseInt(h, 16)).join(';')}`);
+    } else {
+      throw new Error(`unknown style "${token}"`);
+    }
+  }
+  return codes;
+}
+
+// --- themes ---
+
+// Every part of the board that can be styled. `field` covers frontmatter
+// fields shown through a card template, `blockedCard` the id and title lines
+// of a card with open dependencies, `progress` an epic's progress bar,
+// `stale` the age of a stale card, `project` the project-qualified ids of a
+// board that merges several projects.
+const ROLES = [
+  'header', 'wipExceeded', 'muted',
+  'priority0', 'priority1', 'priority2', 'priority3', 'priority4',
+  'assignee', 'tag', 'pr', 'blocked', 'blockedCard', 'parent', 'progress', 'age', 'stale',
+  'field', 'project',
+];
+
+const THEMES = {
+  dark: {
+    header: 'bold', wipExceeded: 'bold red', muted: 'dim',
+    priority0: 'red', priority1: 'red', priority2: '', priority3: 'dim', priority4: 'dim',
+    assignee: 'green', tag: 'cyan', pr: 'blue underline', blocked: 'red', blockedCard: 'dim',
+    parent: 'dim', progress: 'green', age: 'dim', stale: 'bold yellow', field: 'dim', project: 'magenta',
+  },
+  light: {
+    header: 'bold', wipExceeded: 'bold red', muted: 'gray',
+    priority0: 'bold red', priority1: 'red', priority2: '', priority3: 'gray', priority4: 'gray',
+    assignee: 'green', tag: 'blue', pr: 'blue underline', blocked: 'red', blockedCard: 'gray',
+    parent: 'gray', progress: 'green', age: 'gray', stale: 'bold red', field: 'gray', project: 'magenta',
+  },
+  'high-contrast': {
+    header: 'bold underline', wipExceeded: 'bold inverse', muted: '',
+    priority0: 'bold bright-red', priority1: 'bold bright-red', priority2: 'bold', priority3: '', priority4: '',
+    assignee: 'bold bright-green', tag: 'bold bright-cyan', pr: 'bold bright-blue underline',
+    blocked: 'bold bright-red', blockedCard: 'italic', parent: '', progress: 'bold bright-green',
+    age: '', stale: 'bold inverse', field: '', project: 'bold bright-magenta',
+  },
+  '256': {
+    header: 'bold', wipExceeded: 'bold 196', muted: '244',
+    priority0: 'bold 196', priority1: '202', priority2: '', priority3: '245', priority4: '240',
+    assignee: '71', tag: '38', pr: '33 underline', blocked: '160', blockedCard: '244',
+    parent: '244', progress: '71', age: '244', stale: 'bold 214', field: '244', project: '135',
+  },
+  truecolor: {
+    header: 'bold', wipExceeded: 'bold #ff5555', muted: '#7f848e',
+    priority0: 'bold #ff5555', priority1: '#ffb86c', priority2: '', priority3: '#8a8a8a', priority4: '#6c6c6c',
+    assignee: '#98c379', tag: '#56b6c2', pr: '#61afef underline', blocked: '#e06c75', blockedCard: '#7f848e',
+    parent: '#7f848e', progress: '#98c379', age: '#7f848e', stale: 'bold #e5c07b', field: '#7f848e', project: '#c678dd',
+  },
+};
+
+// Listed explicitly: object key order would put '256' first
+const THEME_NAMES = ['dark', 'light', 'high-contrast', '256', 'truecolor'];
+
+// Resolve a theme name, or an object with an optional `base` theme name plus
+// role overrides, into a { role: [SGR codes] } table. Throws BoardError.
+function resolveTheme(spec = 'dark') {
+  const overrides = typeof spec === 'string' ? { base: spec } : spec;
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new BoardError('theme must be a theme name or an object');
+  }
+  const base = overrides.base === undefined ? 'dark' : overrides.base;
+  if (!THEMES[base]) {
+    throw new BoardError(`Unknown theme: ${base} (expected one of: ${THEME_NAMES.join(', ')})`);
+  }
+
+  const styles = {};
+  for (const role of ROLES) {
+    const value = Object.prototype.hasOwnProperty.call(overrides, role) ? overrides[role] : THEMES[base][role];
+    try {
+      styles[role] = parseStyle(value);
+    } catch (err) {
+      throw new BoardError(`theme.${role}: ${err.message}`);
+    }
+  }
+  for (const key of Object.keys(overrides)) {
+    if (key !== 'base' && !ROLES.includes(key)) {
+      throw new BoardError(`theme: unknown role "${key}" (expected one of: base, ${ROLES.join(', ')})`);
+    }
+  }
+  return styles;
+}
+
+// Style functions for a resolved theme. Codes are emitted one escape each, so
+// "bold red" becomes \x1b[1m\x1b[31m, and nothing at all without `options.color`.
+function createStyler(theme, options = {}) {
+  const apply = (codes, s) => {
+    if (!options.color || !codes || !codes.length || s === '') return s;
+    return codes.map(c => `\x1b[${c}m`).join('') + s + '\x1b[0m';
+  };
+  const tagColors = options.tagColors || {};
+  return {
+    style: (role, s) => apply(theme[role], s),
+    tag: (name, s) => apply(tagColors[name] || theme.tag, s),
+  };
+}
+
+module.exports = {
+  THEME_NAMES,
+  ROLES,
+  parseStyle,
+  resolveTheme,
+  createStyler,
+};
@@ -0,0 +1,320 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const { BoardError } = require('./errors');
+const { readJSONCache, writeJSONCache } = require('./cache');
+const { parseFrontmatter, setFrontmatterField } = require('./frontmatter');
+
+// --- tickets dir resolution ---
+
+// TICKETS_DIR wins; otherwise the nearest .tickets directory at or above cwd
+function findTicketsDir({ cwd = process.cwd(), env = process.env } = {}) {
+  if (env.TICKETS_DIR) return env.TICKETS_DIR;
+
+  let dir = cwd;
+  while (true) {
+    const candidate = path.join(dir, '.tickets');
+    if (fs.existsSync(candidate) && fs.statSync(candidate).isDirectory()) {
+      return candidate;
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) break;
+    dir = parent;
+  }
+
+  throw new BoardError('no .tickets directory found (searched parent directories)');
+}
+
+// --- parse tickets ---
+
+const VALID_PRIORITIES = [0, 1, 2, 3, 4];
+
+// The frontmatter and the body of a file with LF line endings. Both fences
+// are whole lines; the frontmatter may be empty.
+const FRONTMATTER_RE = /^---\n(?:([\s\S]*?)\n)?---(?:\n|$)([\s\S]*)$/;
+
+// Normalize a list field. Lists usually arrive parsed from YAML; a plain
+// scalar is split on commas for backwards compatibility.
+function parseList(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value.map(v => String(v).trim()).filter(Boolean);
+  const cleaned = value.replace(/^\[|\]$/g, '');
+  return cleaned.split(',').map(t => t.trim()).filter(Boolean);
+}
+
+function scalar(value) {
+  if (value === undefined || value === '') return null;
+  return Array.isArray(value) ? value.join(', ') : value;
+}
+
+// Parse a ticket file's content. Returns the ticket (or null when there is no
+// usable frontmatter), diagnostics for --lint and the line of each field.
+function parseTicketContent(content, filePath) {
+  const diagnostics = [];
+  const text = content.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  if (!text.startsWith('---\n')) {
+    diagnostics.push({ line: 1, message: 'missing frontmatter (file must start with ---)' });
+    return { ticket: null, diagnostics, fieldLines: {} };
+  }
+  const fmMatch = text.match(FRONTMATTER_RE);
+  if (!fmMatch) {
+    diagnostics.push({ line: 1, message: 'frontmatter is not closed with ---' });
+    return { ticket: null, diagnostics, fieldLines: {} };
+  }
+
+  const frontmatter = fmMatch[1] || '';
+  const body = fmMatch[2];
+  const { fields, fieldLines, diagnostics: fmDiagnostics } = parseFrontmatter(frontmatter);
+  diagnostics.push(...fmDiagnostics);
+
+  // Extract title from first # heading
+  const titleMatch = body.match(/^# (.+)$/m);
+  const title = titleMatch ? titleMatch[1].trim() : '(no title)';
+  if (!titleMatch) {
+    const bodyLine = frontmatter.split('\n').length + 3;
+    diagnostics.push({ line: bodyLine, message: 'no "# title" heading' });
+  }
+
+  let priority = 2;
+  if (scalar(fields.priority) !== null) {
+    priority = Number(scalar(fields.priority));
+    if (!VALID_PRIORITIES.includes(priority)) {
+      diagnostics.push({ line: fieldLines.priority, message: `invalid priority "${fields.priority}" (expected 0-4)` });
+      priority = parseInt(fields.priority, 10);
+      if (isNaN(priority)) priority = 2;
+    }
+  }
+
+  // Parse pull_request field
+  const pr = scalar(fields['pull_request']) || scalar(fields['pull-request']);
+
+  // Dates are kept as ISO strings; one that does not parse is dropped
+  function date(key) {
+    const value = scalar(fields[key]);
+    if (value === null) return null;
+    const parsed = new Date(String(value));
+    if (isNaN(parsed)) {
+      diagnostics.push({ line: fieldLines[key], message: `invalid date "${value}" for ${key}` });
+      return null;
+    }
+    return parsed.toISOString();
+  }
+
+  const ticket = {
+    id: scalar(fields.id) || path.basename(filePath, '.md'),
+    status: scalar(fields.status) || 'open',
+    priority,
+    assignee: scalar(fields.assignee),
+    title,
+    fields,
+    tags: parseList(fields.tags),
+    pr,
+    parent: scalar(fields.parent),
+    deps: parseList(fields.deps),
+    links: parseList(fields.links),
+    created: date('created'),
+    updated: date('updated'),
+    file: filePath,
+  };
+
+  return { ticket, diagnostics, fieldLines };
+}
+
+// Parse a ticket file. Besides the frontmatter, the ticket records the
+// file's `mtime`, which ages tickets that have no dates.
+function parseTicket(filePath) {
+  return ticketFromContent(fs.readFileSync(filePath, 'utf8'), filePath, fs.statSync(filePath));
+}
+
+function ticketFromContent(content, filePath, stat) {
+  const ticket = parseTicketContent(content, filePath).ticket;
+  if (ticket) ticket.mtime = stat.mtime.toISOString();
+  return ticket;
+}
+
+// Editors drop lock and swap files next to the ticket (`.#ab-1234.md`,
+// `.ab-1234.md.swp`, `ab-1234.md~`); only plain `*.md` files are tickets.
+// `name` may be a path relative to the tickets directory, in which case
+// hidden directories don't hold tickets either.
+function isTicketFile(name) {
+  return name.endsWith('.md') && name.split(/[\\/]/).every(part => !part.startsWith('.'));
+}
+
+// --- load tickets ---
+
+// Parsed tickets are cached in the tickets directory, keyed by each file's
+// modification time and size
+const CACHE_FILE = '.board-cache.json';
+// Bump when parseTicketContent() changes what it returns (2: the stricter
+// frontmatter fence, CRLF bodies and `key:value` lines)
+const CACHE_VERSION = 2;
+// A file can change again within the same mtime tick it was cached in, so
+// files changed this recently are parsed every time
+const CACHE_SETTLE_MS = 2000;
+// How many files loadTicketsAsync() reads at once. fs.readFile() is
+// promisified because fs.promises.readFile() is much slower on small files.
+const READ_CONCURRENCY = 64;
+const readFile = promisify(fs.readFile);
+
+// The ticket files of a directory in name order. With `recursive`,
+// subdirectories such as archive/ are searched too, except hidden ones.
+function listTicketFiles(ticketsDir, recursive = false) {
+  let entries;
+  try {
+    entries = fs.readdirSync(ticketsDir, { withFileTypes: true });
+  } catch {
+    throw new BoardError(`cannot read ${ticketsDir}`);
+  }
+
+  const files = [];
+  for (const entry of entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0))) {
+    const file = path.join(ticketsDir, entry.name);
+    if (entry.isDirectory()) {
+      if (recursive && !entry.name.startsWith('.')) files.push(...listTicketFiles(file, true));
+    } else if (isTicketFile(entry.name)) {
+      files.push(file);
+    }
+  }
+  return files;
+}
+
+// Entries written by another version start over
+function readCache(ticketsDir) {
+  const cache = readJSONCache(path.join(ticketsDir, CACHE_FILE));
+  return cache && cache.version === CACHE_VERSION && cache.entries ? cache.entries : {};
+}
+
+function writeCache(ticketsDir, entries) {
+  writeJSONCache(path.join(ticketsDir, CACHE_FILE), { version: CACHE_VERSION, entries });
+}
+
+// Sort the ticket files into those the cache still holds and those that
+// must be parsed. `done(parsed)` takes the parsed tickets, updates the cache
+// and returns every ticket.
+function planLoad(ticketsDir, options) {
+  const files = listTicketFiles(ticketsDir, options.recursive);
+  const cached = options.cache ? readCache(ticketsDir) : {};
+  const entries = {};
+  const tickets = []; // in file order; null until parsed
+  const toParse = [];
+  for (const file of files) {
+    let stat;
+    try {
+      stat = fs.statSync(file);
+    } catch {
+      continue; // deleted since it was listed
+    }
+    const key = path.relative(ticketsDir, file);
+    const entry = cached[key];
+    if (entry && entry.mtimeMs === stat.mtimeMs && entry.size === stat.size) {
+      entries[key] = entry;
+      tickets.push(entry.ticket && { ...entry.ticket, file });
+    } else {
+      toParse.push({ file, key, stat, at: tickets.length });
+      tickets.push(null);
+    }
+  }
+
+  function done(parsed) {
+    const settled = Date.now() - CACHE_SETTLE_MS;
+    parsed.forEach((ticket, i) => {
+      const { key, stat, at } = toParse[i];
+      tickets[at] = ticket;
+      if (stat.mtimeMs < settled) {
+        entries[key] = { mtimeMs: stat.mtimeMs, size: stat.size, ticket: ticket && { ...ticket, file: null } };
+      }
+    });
+    if (options.cache && (toParse.length || Object.keys(cached).length !== Object.keys(entries).length)) {
+      writeCache(ticketsDir, entries);
+    }
+    return tickets.filter(Boolean);
+  }
+
+  return { toParse, done };
+}
+
+// Load every ticket of a directory.
+//
+//   recursive  also read subdirectories such as archive/
+//   cache      reuse the tickets parsed on an earlier run from unchanged
+//              files, kept in .board-cache.json in the directory
+function loadTickets(ticketsDir, options = {}) {
+  const { toParse, done } = planLoad(ticketsDir, options);
+  return done(toParse.map(({ file, stat }) => {
+    try {
+      return ticketFromContent(fs.readFileSync(file, 'utf8'), file, stat);
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }));
+}
+
+// loadTickets() with the files read concurrently
+async function loadTicketsAsync(ticketsDir, options = {}) {
+  const { toParse, done } = planLoad(ticketsDir, options);
+  const parsed = new Array(toParse.length).fill(null);
+  let next = 0;
+  async function worker() {
+    while (next < toParse.length) {
+      const i = next++;
+      const { file, stat } = toParse[i];
+      try {
+        parsed[i] = ticketFromContent(await readFile(file, 'utf8'), file, stat);
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(READ_CONCURRENCY, toParse.length) }, worker));
+  return done(parsed);
+}
+
+// --- edit tickets ---
+
+// The markdown below the frontmatter of a ticket file's content, with LF
+// line endings
+function ticketBodyOf(content) {
+  const text = content.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  const fmMatch = text.match(FRONTMATTER_RE);
+  return (fmMatch ? fmMatch[2] : text).replace(/^\n+/, '');
+}
+
+// A ticket's body: the `body` it was read with (see loadTicketsAt()), else
+// the body of its file
+function readTicketBody(ticket) {
+  if (typeof ticket.body === 'string') return ticket.body;
+  return ticketBodyOf(fs.readFileSync(ticket.file, 'utf8'));
+}
+
+// A ticket file's content with one frontmatter field changed (see
+// setFrontmatterField()), without writing it
+function editTicketField(ticket, key, value) {
+  const content = fs.readFileSync(ticket.file, 'utf8');
+  const updated = setFrontmatterField(content, key, value);
+  if (updated === null) throw new BoardError(`${ticket.file}: no frontmatter`);
+  return { file: ticket.file, before: content, after: updated };
+}
+
+// Rewrite the `status:` line of a ticket's frontmatter, leaving the rest of
+// the file untouched.
+function writeTicketStatus(ticket, status) {
+  const { after } = editTicketField(ticket, 'status', status);
+  fs.writeFileSync(ticket.file, after, 'utf8');
+}
+
+module.exports = {
+  findTicketsDir,
+  parseTicketContent,
+  parseTicket,
+  isTicketFile,
+  listTicketFiles,
+  loadTickets,
+  loadTicketsAsync,
+  ticketBodyOf,
+  readTicketBody,
+  editTicketField,
+  writeTicketStatus,
+};
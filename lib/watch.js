@@ -0,0 +1,127 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { BoardError } = require('./errors');
+const { isTicketFile, listTicketFiles, loadTickets, parseTicket } = require('./tickets');
+const { createColors, highlight, renderBoard } = require('./render');
+
+const WATCH_DEBOUNCE_MS = 100;
+const WATCH_HIGHLIGHT_MS = 3000;
+
+// Keep redrawing the board as files in `ticketsDir` change. `build(tickets)`
+// turns the cached tickets into a board (see buildBoard()); `width()` reports
+// the current terminal width; `hyperlinks` makes PR links clickable.
+// `recursive` and `cache` are passed on to loadTickets(). `annotate(tickets)`
+// runs on copies of the tickets whenever files are re-read, not on every
+// redraw, e.g. to look up the state of their pull requests.
+function runWatch({
+  ticketsDir, build, color = false, hyperlinks = false, width = () => 80,
+  recursive = false, cache = false, annotate = (tickets) => tickets,
+}) {
+  const colors = createColors(color);
+  const tickets = new Map(); // file path -> ticket
+  for (const ticket of loadTickets(ticketsDir, { recursive, cache })) tickets.set(ticket.file, ticket);
+  let annotated = null;
+  const reannotate = () => {
+    annotated = annotate([...tickets.values()].map(t => ({ ...t })));
+  };
+  reannotate();
+
+  const changedUntil = new Map(); // ticket id -> highlight expiry (ms)
+  const pending = new Set();
+  let pendingTimer = null;
+  let lastRefresh = new Date();
+
+  function markChanged(ticket) {
+    changedUntil.set(ticket.id, Date.now() + WATCH_HIGHLIGHT_MS);
+    setTimeout(draw, WATCH_HIGHLIGHT_MS + 10).unref();
+  }
+
+  // Re-parse a single file. A file that fails to parse is most likely still
+  // being written, so the last good version stays on the board until the
+  // next event for it arrives.
+  function refreshFile(name) {
+    const filePath = path.join(ticketsDir, name);
+    const previous = tickets.get(filePath);
+    let ticket;
+    try {
+      ticket = parseTicket(filePath);
+    } catch (err) {
+      if (err.code !== 'ENOENT') return;
+      tickets.delete(filePath);
+      return;
+    }
+    if (!ticket) return;
+    tickets.set(filePath, ticket);
+    if (!previous || JSON.stringify(previous) !== JSON.stringify(ticket)) markChanged(ticket);
+  }
+
+  function refreshAll() {
+    const seen = new Set();
+    for (const file of listTicketFiles(ticketsDir, recursive)) {
+      seen.add(file);
+      refreshFile(path.relative(ticketsDir, file));
+    }
+    for (const file of tickets.keys()) {
+      if (!seen.has(file)) tickets.delete(file);
+    }
+  }
+
+  function flush() {
+    pendingTimer = null;
+    if (pending.has(null)) {
+      refreshAll();
+    } else {
+      for (const name of pending) refreshFile(name);
+    }
+    pending.clear();
+    reannotate();
+    lastRefresh = new Date();
+    draw();
+  }
+
+  function draw() {
+    const now = Date.now();
+    const board = build(annotated);
+    const lines = renderBoard(board, {
+      width: width(),
+      color,
+      hyperlinks,
+      decorate: (card, ticket, colWidth) =>
+        (color && changedUntil.get(ticket.id) > now ? highlight(card, colWidth) : card),
+    }).split('\n');
+    for (const [id, expiry] of changedUntil) {
+      if (expiry <= now) changedUntil.delete(id);
+    }
+
+    lines.push('', colors.dim(`Last refresh: ${lastRefresh.toLocaleTimeString()}  (watching ${ticketsDir}, ctrl-c to quit)`));
+    // Overwrite in place rather than clearing the screen to avoid flicker
+    process.stdout.write('\x1b[H' + lines.map(line => line + '\x1b[K').join('\n') + '\x1b[J');
+  }
+
+  let watcher;
+  try {
+    watcher = fs.watch(ticketsDir, { recursive }, (event, name) => {
+      if (name && !isTicketFile(name)) return;
+      pending.add(name || null);
+      if (!pendingTimer) pendingTimer = setTimeout(flush, WATCH_DEBOUNCE_MS);
+    });
+  } catch {
+    throw new BoardError(`cannot watch ${ticketsDir}`);
+  }
+
+  function stop() {
+    watcher.close();
+    process.stdout.write('\x1b[?25h\n');
+    process.exit(0);
+  }
+
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+  process.stdout.on('resize', draw);
+  process.stdout.write('\x1b[?25l\x1b[2J');
+  draw();
+}
+
+module.exports = { runWatch };
@@ -0,0 +1,131 @@
+'use strict';
+
+// Terminal display width of text: East Asian wide and fullwidth characters
+// and emoji take two cells, combining marks and other zero-width characters
+// none. Text is measured and cut per grapheme cluster, so an emoji sequence
+// or a letter with its accents is never split.
+
+const segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+// East Asian Width W and F ranges, plus emoji that default to emoji
+// presentation (Unicode 15).
+const WIDE_RANGES = [
+  [0x1100, 0x115f], [0x231a, 0x231b], [0x2329, 0x232a], [0x23e9, 0x23ec], [0x23f0, 0x23f0],
+  [0x23f3, 0x23f3], [0x25fd, 0x25fe], [0x2614, 0x2615], [0x2648, 0x2653], [0x267f, 0x267f],
+  [0x2693, 0x2693], [0x26a1, 0x26a1], [0x26aa, 0x26ab], [0x26bd, 0x26be], [0x26c4, 0x26c5],
+  [0x26ce, 0x26ce], [0x26d4, 0x26d4], [0x26ea, 0x26ea], [0x26f2, 0x26f3], [0x26f5, 0x26f5],
+  [0x26fa, 0x26fa], [0x26fd, 0x26fd], [0x2705, 0x2705], [0x270a, 0x270b], [0x2728, 0x2728],
+  [0x274c, 0x274c], [0x274e, 0x274e], [0x2753, 0x2755], [0x2757, 0x2757], [0x2795, 0x2797],
+  [0x27b0, 0x27b0], [0x27bf, 0x27bf], [0x2b1b, 0x2b1c], [0x2b50, 0x2b50], [0x2b55, 0x2b55],
+  [0x2e80, 0x303e], [0x3041, 0x33ff], [0x3400, 0x4dbf], [0x4e00, 0x9fff], [0xa000, 0xa4cf],
+  [0xa960, 0xa97f], [0xac00, 0xd7a3], [0xf900, 0xfaff], [0xfe10, 0xfe19], [0xfe30, 0xfe6f],
+  [0xff00, 0xff60], [0xffe0, 0xffe6], [0x16fe0, 0x16fe4], [0x17000, 0x18cff], [0x1b000, 0x1b2ff],
+  [0x1f004, 0x1f004], [0x1f0cf, 0x1f0cf], [0x1f18e, 0x1f18e], [0x1f191, 0x1f19a], [0x1f200, 0x1f251],
+  [0x1f300, 0x1f320], [0x1f32d, 0x1f335], [0x1f337, 0x1f37c], [0x1f37e, 0x1f393], [0x1f3a0, 0x1f3ca],
+  [0x1f3cf, 0x1f3d3], [0x1f3e0, 0x1f3f0], [0x1f3f4, 0x1f3f4], [0x1f3f8, 0x1f43e], [0x1f440, 0x1f440],
+  [0x1f442, 0x1f4fc], [0x1f4ff, 0x1f53d], [0x1f54b, 0x1f54e], [0x1f550, 0x1f567], [0x1f57a, 0x1f57a],
+  [0x1f595, 0x1f596], [0x1f5a4, 0x1f5a4], [0x1f5fb, 0x1f64f], [0x1f680, 0x1f6c5], [0x1f6cc, 0x1f6cc],
+  [0x1f6d0, 0x1f6d2], [0x1f6d5, 0x1f6d7], [0x1f6dc, 0x1f6df], [0x1f6eb, 0x1f6ec], [0x1f6f4, 0x1f6fc],
+  [0x1f7e0, 0x1f7eb], [0x1f7f0, 0x1f7f0], [0x1f90c, 0x1f93a], [0x1f93c, 0x1f945], [0x1f947, 0x1f9ff],
+  [0x1fa70, 0x1faff], [0x20000, 0x2fffd], [0x30000, 0x3fffd],
+];
+
+const ZERO_WIDTH_RE = /^[\p{Mn}\p{Me}\p{Cf}\p{Cc}]$/u;
+
+function isWide(codePoint) {
+  let lo = 0;
+  let hi = WIDE_RANGES.length - 1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    const [start, end] = WIDE_RANGES[mid];
+    if (codePoint < start) hi = mid - 1;
+    else if (codePoint > end) lo = mid + 1;
+    else return true;
+  }
+  return false;
+}
+
+function graphemeWidth(grapheme) {
+  const first = grapheme.codePointAt(0);
+  if (ZERO_WIDTH_RE.test(String.fromCodePoint(first))) return 0;
+  // A VS16 selector asks for emoji presentation, e.g. U+2764 U+FE0F
+  if (grapheme.includes('\ufe0f')) return 2;
+  return isWide(first) ? 2 : 1;
+}
+
+function graphemes(text) {
+  return Array.from(segmenter.segment(text), s => s.segment);
+}
+
+// Colors and OSC 8 hyperlinks take no room on screen
+function stripAnsi(s) {
+  return s.replace(/\x1b\[[0-9;]*m|\x1b\]8;[^\x07\x1b]*(?:\x07|\x1b\\)/g, '');
+}
+
+// Display width of a string, ignoring ANSI color codes and hyperlinks
+function stringWidth(s) {
+  const text = stripAnsi(s);
+  // Fast path for plain ASCII
+  if (/^[\x20-\x7e]*$/.test(text)) return text.length;
+  let width = 0;
+  for (const g of graphemes(text)) width += graphemeWidth(g);
+  return width;
+}
+
+// Cut plain text to at most `width` cells, ending in an ellipsis when
+// anything was removed.
+function truncateToWidth(text, width) {
+  if (stringWidth(text) <= width) return text;
+  let out = '';
+  let used = 0;
+  for (const g of graphemes(text)) {
+    const w = graphemeWidth(g);
+    if (used + w > width - 1) break;
+    out += g;
+    used += w;
+  }
+  return out + '\u2026';
+}
+
+// Wrap plain text into lines of at most `width` cells, breaking at spaces
+// where possible and inside words that are longer than a whole line.
+function wrapToWidth(text, width) {
+  const lines = [];
+  let line = '';
+  let used = 0;
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    const w = stringWidth(word);
+    if (line && used + 1 + w <= width) {
+      line += ' ' + word;
+      used += 1 + w;
+      continue;
+    }
+    if (line) lines.push(line);
+    line = '';
+    used = 0;
+    if (w <= width) {
+      line = word;
+      used = w;
+      continue;
+    }
+    for (const g of graphemes(word)) {
+      const gw = graphemeWidth(g);
+      if (used + gw > width && line) {
+        lines.push(line);
+        line = '';
+        used = 0;
+      }
+      line += g;
+      used += gw;
+    }
+  }
+  if (line || !lines.length) lines.push(line);
+  return lines;
+}
+
+module.exports = {
+  stripAnsi,
+  stringWidth,
+  truncateToWidth,
+  wrapToWidth,
+};
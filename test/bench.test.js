@@ -0,0 +1,80 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const board = require('..');
+
+// Loads a generated board of 10,000 tickets cold, then again from the parse
+// cache. Timings are reported as diagnostics rather than asserted, since
+// they depend on the machine.
+const TICKETS = 10000;
+const STATUSES = ['open', 'in_progress', 'closed'];
+
+function generateTickets(ticketsDir, count) {
+  const past = new Date(Date.now() - 24 * 60 * 60 * 1000);
+  for (let i = 0; i < count; i++) {
+    const id = `bn-${String(i).padStart(5, '0')}`;
+    const dir = i % 4 === 0 ? path.join(ticketsDir, 'archive') : ticketsDir;
+    const file = path.join(dir, `${id}.md`);
+    fs.writeFileSync(file, [
+      '---',
+      `id: ${id}`,
+      `status: ${STATUSES[i % STATUSES.length]}`,
+      `priority: ${i % 5}`,
+      `assignee: user${i % 7}`,
+      `tags: [t${i % 3}, t${i % 11}]`,
+      i > 0 ? `deps: [bn-${String(i - 1).padStart(5, '0')}]` : 'deps: []',
+      'created: 2026-01-01',
+      '---',
+      `# Ticket number ${i}`,
+      '',
+      'Generated for the loading benchmark.',
+      '',
+    ].join('\n'));
+    // Old enough for the cache to keep
+    fs.utimesSync(file, past, past);
+  }
+}
+
+function time(fn) {
+  const start = process.hrtime.bigint();
+  const result = fn();
+  return Promise.resolve(result).then(value => ({ value, ms: Number(process.hrtime.bigint() - start) / 1e6 }));
+}
+
+describe('loading benchmark', () => {
+  let tmp, ticketsDir;
+  const options = { recursive: true, cache: true };
+
+  before(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'tk-board-bench-'));
+    ticketsDir = path.join(tmp, '.tickets');
+    fs.mkdirSync(path.join(ticketsDir, 'archive'), { recursive: true });
+    generateTickets(ticketsDir, TICKETS);
+  });
+
+  after(() => {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+
+  it(`loads ${TICKETS} tickets and reloads them from the cache`, async (t) => {
+    const uncached = await time(() => board.loadTickets(ticketsDir, { recursive: true }));
+    const cold = await time(() => board.loadTicketsAsync(ticketsDir, options));
+    const warm = await time(() => board.loadTicketsAsync(ticketsDir, options));
+    const warmSync = await time(() => board.loadTickets(ticketsDir, options));
+    t.diagnostic(`no cache ${uncached.ms.toFixed(0)} ms, cold ${cold.ms.toFixed(0)} ms, ` +
+      `warm ${warm.ms.toFixed(0)} ms, warm (sync) ${warmSync.ms.toFixed(0)} ms`);
+
+    assert.equal(cold.value.length, TICKETS);
+    assert.deepEqual(warm.value, cold.value);
+    assert.deepEqual(warmSync.value, uncached.value);
+  });
+
+  it('builds the board from the cached tickets', () => {
+    const result = board.loadBoard({ ticketsDir, cache: true, config: { recursive: true } });
+    assert.equal(result.tickets.length, TICKETS);
+    assert.deepEqual(result.warnings, []);
+  });
+});
@@ -3,7 +3,7 @@ const assert = require('node:assert/strict');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
-const { execFileSync } = require('child_process');
+const { execFileSync, spawn, spawnSync } = require('child_process');
 
 const BIN = path.resolve(__dirname, '..', 'bin', 'ticket-board.js');
 
@@ -15,6 +15,43 @@ function run(args = [], opts = {}) {
   });
 }
 
+// Start a long-running board process and collect its output. `waitFor`
+// resolves once the output seen so far matches a pattern.
+function spawnBoard(args, opts = {}) {
+  const child = spawn(process.execPath, [BIN, ...args], {
+    env: { ...process.env, ...opts.env },
+    cwd: opts.cwd,
+  });
+  let out = '';
+  const waiters = [];
+  child.stdout.setEncoding('utf8');
+  child.stdout.on('data', (chunk) => {
+    out += chunk;
+    for (const w of waiters.filter(w => w.pattern.test(out))) {
+      waiters.splice(waiters.indexOf(w), 1);
+      w.resolve(out);
+    }
+  });
+
+  return {
+    get output() { return out; },
+    waitFor(pattern, timeout = 5000) {
+      if (pattern.test(out)) return Promise.resolve(out);
+      return new Promise((resolve, reject) => {
+        const w = { pattern, resolve };
+        waiters.push(w);
+        setTimeout(() => reject(new Error(`timed out waiting for ${pattern}`)), timeout).unref();
+      });
+    },
+    stop() {
+      return new Promise((resolve) => {
+        child.on('exit', resolve);
+        child.kill('SIGTERM');
+      });
+    },
+  };
+}
+
 function makeTicket(ticketsDir, id, fields, title = 'Test ticket') {
   const fm = Object.entries(fields)
     .map(([k, v]) => `${k}: ${v}`)
@@ -23,6 +60,27 @@ function makeTicket(ticketsDir, id, fields, title = 'Test ticket') {
   fs.writeFileSync(path.join(ticketsDir, `${id}.md`), content, 'utf8');
 }
 
+const DAY = 24 * 60 * 60 * 1000;
+
+// Keeps the user's own git identity out of --me
+const NO_GIT_IDENTITY = { GIT_CONFIG_GLOBAL: os.devNull, GIT_CONFIG_NOSYSTEM: '1' };
+
+function gitInit(dir) {
+  execFileSync('git', ['init', '-q'], { cwd: dir });
+}
+
+// Commit everything in `dir`, dated `daysAgo` days in the past
+function gitCommit(dir, daysAgo, message) {
+  const date = new Date(Date.now() - daysAgo * DAY).toISOString();
+  const env = {
+    ...process.env,
+    GIT_AUTHOR_NAME: 'test', GIT_AUTHOR_EMAIL: 'test@example.com', GIT_AUTHOR_DATE: date,
+    GIT_COMMITTER_NAME: 'test', GIT_COMMITTER_EMAIL: 'test@example.com', GIT_COMMITTER_DATE: date,
+  };
+  execFileSync('git', ['add', '-A'], { cwd: dir, env });
+  execFileSync('git', ['commit', '-q', '-m', message], { cwd: dir, env });
+}
+
 describe('ticket-board', () => {
   let tmp, ticketsDir;
 
@@ -49,8 +107,16 @@ describe('ticket-board', () => {
       assert.match(out, /Usage:/);
       assert.match(out, /--assignee/);
       assert.match(out, /--tag/);
+      assert.match(out, /--query/);
       assert.match(out, /--no-closed/);
       assert.match(out, /--me/);
+      assert.match(out, /--interactive/);
+      assert.match(out, /--watch/);
+      assert.match(out, /--format/);
+      assert.match(out, /--swimlanes=KEY .*parent, project$/m);
+      assert.match(out, /--ready/);
+      assert.match(out, /--view/);
+      assert.match(out, /--lint/);
     });
 
     it('outputs help on -h', () => {
@@ -98,6 +164,12 @@ describe('ticket-board', () => {
       assert.ok(highIdx < medIdx, 'P0 should appear before P2');
       assert.ok(medIdx < lowIdx, 'P2 should appear before P4');
     });
+
+    it('takes the width from COLUMNS when output is piped', () => {
+      const width = (out) => Math.max(...out.split('\n').map(line => line.length));
+      assert.ok(width(run([], { env: { TICKETS_DIR: ticketsDir, COLUMNS: '' } })) <= 80);
+      assert.ok(width(run([], { env: { TICKETS_DIR: ticketsDir, COLUMNS: '120' } })) > 100);
+    });
   });
 
   // --- filtering ---
@@ -137,20 +209,115 @@ describe('ticket-board', () => {
       assert.match(out, /Backend task/);
     });
 
-    it('--me filters to cwd folder name', () => {
+    it('--me filters to cwd folder name when meFromCwd is set', () => {
       // Create a subfolder simulating user folder
       const userDir = path.join(tmp, 'alice');
       fs.mkdirSync(userDir);
+      fs.writeFileSync(path.join(ticketsDir, 'board.json'), JSON.stringify({ meFromCwd: true }), 'utf8');
 
       makeTicket(ticketsDir, 'ab-1111', { status: 'open', priority: 2, assignee: 'alice' }, 'Alice task');
       makeTicket(ticketsDir, 'ab-2222', { status: 'open', priority: 2, assignee: 'bob' }, 'Bob task');
 
-      const out = run(['--me'], { env: { TICKETS_DIR: ticketsDir }, cwd: userDir });
+      const out = run(['--me'], { env: { TICKETS_DIR: ticketsDir, ...NO_GIT_IDENTITY }, cwd: userDir });
       assert.match(out, /Alice task/);
       assert.doesNotMatch(out, /Bob task/);
     });
   });
 
+  // --- identity ---
+
+  describe('identity', () => {
+    beforeEach(() => {
+      fs.writeFileSync(path.join(ticketsDir, 'board.json'), JSON.stringify({
+        aliases: { ham: ['Ham Smith', 'ham@corp.example'], ewe: ['E. Wool'] },
+      }), 'utf8');
+      makeTicket(ticketsDir, 'ab-1111', { status: 'open', assignee: 'Ham Smith' }, 'Written as full name');
+      makeTicket(ticketsDir, 'ab-2222', { status: 'open', assignee: 'ham' }, 'Written as handle');
+      makeTicket(ticketsDir, 'ab-3333', { status: 'open', assignee: 'E. Wool' }, 'Somebody else');
+    });
+
+    function ids(args, env = {}) {
+      const doc = JSON.parse(run([...args, '--format=json'], { env: { TICKETS_DIR: ticketsDir, ...NO_GIT_IDENTITY, ...env }, cwd: tmp }));
+      return doc.columns.flatMap(c => c.tickets.map(t => t.id)).sort();
+    }
+
+    it('resolves --me from TK_ME through the aliases', () => {
+      assert.deepEqual(ids(['--me'], { TK_ME: 'HAM@corp.example' }), ['ab-1111', 'ab-2222']);
+    });
+
+    it('falls back to git user.email', () => {
+      const gitconfig = path.join(tmp, 'gitconfig');
+      fs.writeFileSync(gitconfig, '[user]\n\tname = Somebody Unlisted\n\temail = ham@corp.example\n', 'utf8');
+      assert.deepEqual(ids(['--me'], { GIT_CONFIG_GLOBAL: gitconfig }), ['ab-1111', 'ab-2222']);
+    });
+
+    it('applies the aliases to -a, queries and cards', () => {
+      assert.deepEqual(ids(['-a', 'Ham Smith']), ['ab-1111', 'ab-2222']);
+      assert.deepEqual(ids(['-q', 'assignee:"e. wool"']), ['ab-3333']);
+
+      const out = run([], { env: { TICKETS_DIR: ticketsDir } });
+      assert.equal(out.match(/@ham\b/g).length, 2);
+      assert.match(out, /@ewe/);
+      assert.doesNotMatch(out, /Ham Smith/);
+    });
+
+    it('reports when it cannot tell who --me is', () => {
+      assert.throws(() => ids(['--me']), /cannot tell who --me is: set TK_ME/);
+      fs.writeFileSync(path.join(ticketsDir, 'board.json'), JSON.stringify({ aliases: { ham: ['x'], ewe: ['X'] } }), 'utf8');
+      assert.throws(() => ids([]), /aliases: "X" is listed for both ham and ewe/);
+    });
+  });
+
+  // --- query language ---
+
+  describe('query language', () => {
+    beforeEach(() => {
+      makeTicket(ticketsDir, 'ab-1111', { status: 'open', priority: 0, assignee: 'ham', tags: '[backend]', type: 'bug' }, 'Fix auth flow');
+      makeTicket(ticketsDir, 'ab-2222', { status: 'open', priority: 1, assignee: 'ewe', tags: '[backend, blocked]', type: 'bug' }, 'Auth tokens');
+      makeTicket(ticketsDir, 'ab-3333', { status: 'open', priority: 3, assignee: 'jig', tags: '[frontend]', type: 'feature' }, 'Admin UI');
+    });
+
+    function ids(args) {
+      const doc = JSON.parse(run([...args, '--format=json'], { env: { TICKETS_DIR: ticketsDir } }));
+      return doc.columns.flatMap(c => c.tickets.map(t => t.id)).sort();
+    }
+
+    it('matches any value in an OR list', () => {
+      assert.deepEqual(ids(['-q', 'assignee:(ham,jig)']), ['ab-1111', 'ab-3333']);
+    });
+
+    it('supports negation and priority comparisons', () => {
+      assert.deepEqual(ids(['-q', 'tag:backend -tag:blocked']), ['ab-1111']);
+      assert.deepEqual(ids(['-q', 'priority:<=1']), ['ab-1111', 'ab-2222']);
+      assert.deepEqual(ids(['-q', 'priority:>1']), ['ab-3333']);
+    });
+
+    it('matches titles by substring or regex', () => {
+      assert.deepEqual(ids(['-q', 'title~"auth"']), ['ab-1111', 'ab-2222']);
+      assert.deepEqual(ids(['-q', 'title~/^auth/i']), ['ab-2222']);
+    });
+
+    it('matches arbitrary frontmatter fields', () => {
+      assert.deepEqual(ids(['--query', 'type:bug']), ['ab-1111', 'ab-2222']);
+      assert.deepEqual(ids(['--query', '-type:bug']), ['ab-3333']);
+    });
+
+    it('combines with the shorthand flags', () => {
+      assert.deepEqual(ids(['-q', 'type:bug', '-T', 'blocked']), ['ab-2222']);
+      assert.deepEqual(ids(['-q', 'type:bug', '-a', 'HAM']), ['ab-1111']);
+    });
+
+    it('reports parse errors with the position', () => {
+      const result = spawnSync(process.execPath, [BIN, '-q', 'assignee:(ham,ewe tag:x'], {
+        env: { ...process.env, TICKETS_DIR: ticketsDir },
+        encoding: 'utf8',
+      });
+      assert.equal(result.status, 1);
+      assert.match(result.stderr, /invalid query: expected ',' or '\)'/);
+      assert.match(result.stderr, /\n {2}assignee:\(ham,ewe tag:x\n {19}\^/);
+    });
+  });
+
   // --- --no-closed ---
 
   describe('--no-closed', () => {
@@ -167,6 +334,179 @@ describe('ticket-board', () => {
     });
   });
 
+  // --- board config ---
+
+  describe('board config', () => {
+    function writeConfig(config) {
+      fs.writeFileSync(path.join(ticketsDir, 'board.json'), JSON.stringify(config), 'utf8');
+    }
+
+    it('shows unknown statuses in an OTHER column by default', () => {
+      makeTicket(ticketsDir, 'ab-1111', { status: 'blocked', priority: 2 }, 'Stuck task');
+
+      const out = run([], { env: { TICKETS_DIR: ticketsDir } });
+      assert.match(out, /OTHER/);
+      assert.match(out, /Stuck task/);
+
+      assert.doesNotMatch(run(['--columns', 'open'], { env: { TICKETS_DIR: ticketsDir } }), /OTHER/);
+      assert.match(run(['--columns', 'open,other'], { env: { TICKETS_DIR: ticketsDir } }), /OTHER[\s\S]*Stuck task/);
+    });
+
+    it('maps several statuses into configured columns', () => {
+      writeConfig({
+        columns: [
+          { key: 'todo', label: 'TO DO', statuses: ['open', 'todo'] },
+          { key: 'doing', statuses: ['in_progress', 'in_review'] },
+          { key: 'done', statuses: ['closed'] },
+        ],
+      });
+      makeTicket(ticketsDir, 'ab-1111', { status: 'todo', priority: 2 }, 'Todo task');
+      makeTicket(ticketsDir, 'ab-2222', { status: 'in_review', priority: 2 }, 'Review task');
+
+      const doc = JSON.parse(run(['--format=json'], { env: { TICKETS_DIR: ticketsDir } }));
+      assert.deepEqual(doc.columns.map(c => c.label), ['TO DO', 'DOING', 'DONE']);
+      assert.deepEqual(doc.columns[0].tickets.map(t => t.id), ['ab-1111']);
+      assert.deepEqual(doc.columns[1].tickets.map(t => t.id), ['ab-2222']);
+    });
+
+    it('hides columns marked hidden unless --all-columns is given', () => {
+      writeConfig({
+        columns: [
+          { key: 'open' },
+          { key: 'closed', label: 'DONE', hidden: true },
+        ],
+      });
+      makeTicket(ticketsDir, 'ab-1111', { status: 'closed', priority: 2 }, 'Done task');
+
+      const out = run([], { env: { TICKETS_DIR: ticketsDir } });
+      assert.doesNotMatch(out, /DONE/);
+      assert.doesNotMatch(out, /Done task/);
+      assert.doesNotMatch(out, /OTHER/);
+
+      const all = run(['--all-columns'], { env: { TICKETS_DIR: ticketsDir } });
+      assert.match(all, /DONE/);
+      assert.match(all, /Done task/);
+    });
+
+    it('warns about unknown statuses when configured to', () => {
+      writeConfig({ unknownStatus: 'warn' });
+      makeTicket(ticketsDir, 'ab-1111', { status: 'blocked', priority: 2 }, 'Stuck task');
+
+      const result = spawnSync(process.execPath, [BIN], {
+        env: { ...process.env, TICKETS_DIR: ticketsDir },
+        encoding: 'utf8',
+      });
+      assert.equal(result.status, 0);
+      assert.doesNotMatch(result.stdout, /Stuck task/);
+      assert.match(result.stderr, /ab-1111 has unknown status "blocked"/);
+    });
+
+    it('shows WIP counts in the column header', () => {
+      writeConfig({
+        columns: [
+          { key: 'open' },
+          { key: 'in_progress', label: 'IN PROGRESS', wip: 1 },
+        ],
+      });
+      makeTicket(ticketsDir, 'ab-1111', { status: 'in_progress', priority: 2 }, 'One');
+      makeTicket(ticketsDir, 'ab-2222', { status: 'in_progress', priority: 2 }, 'Two');
+
+      const plain = run([], { env: { TICKETS_DIR: ticketsDir } });
+      assert.match(plain, /IN PROGRESS 2\/1/);
+
+      const colored = run(['--color=always'], { env: { TICKETS_DIR: ticketsDir } });
+      assert.match(colored, /\x1b\[31mIN PROGRESS 2\/1/, 'over-limit header should be red');
+    });
+
+    it('--check-wip exits non-zero with a summary when limits are exceeded', () => {
+      writeConfig({
+        columns: [
+          { key: 'open' },
+          { key: 'in_progress', label: 'IN PROGRESS', wip: { total: 5, perAssignee: 1 } },
+        ],
+      });
+      makeTicket(ticketsDir, 'ab-1111', { status: 'in_progress', priority: 2, assignee: 'ham' }, 'One');
+      makeTicket(ticketsDir, 'ab-2222', { status: 'in_progress', priority: 2, assignee: 'ham' }, 'Two');
+      makeTicket(ticketsDir, 'ab-3333', { status: 'in_progress', priority: 2, assignee: 'ewe' }, 'Three');
+
+      const result = spawnSync(process.execPath, [BIN, '--check-wip'], {
+        env: { ...process.env, TICKETS_DIR: ticketsDir },
+        encoding: 'utf8',
+      });
+      assert.equal(result.status, 1);
+      assert.match(result.stdout, /IN PROGRESS @ham: 2\/1/);
+      assert.doesNotMatch(result.stdout, /@ewe/);
+    });
+
+    it('--check-wip exits zero when within limits', () => {
+      writeConfig({ columns: [{ key: 'in_progress', wip: 3 }] });
+      makeTicket(ticketsDir, 'ab-1111', { status: 'in_progress', priority: 2 }, 'One');
+
+      const out = run(['--check-wip'], { env: { TICKETS_DIR: ticketsDir } });
+      assert.match(out, /WIP limits OK/);
+    });
+
+    it('exits with error for an invalid config', () => {
+      fs.writeFileSync(path.join(ticketsDir, 'board.json'), '{ not json', 'utf8');
+      assert.throws(() => {
+        run([], { env: { TICKETS_DIR: ticketsDir } });
+      }, /board\.json/);
+    });
+  });
+
+  // --- saved views ---
+
+  describe('saved views', () => {
+    beforeEach(() => {
+      fs.writeFileSync(path.join(ticketsDir, 'board.json'), JSON.stringify({
+        views: {
+          triage: { description: 'Backend triage', query: 'tag:backend', closed: false, format: 'csv' },
+          urgent: { query: 'priority:<=1', columns: ['open'] },
+        },
+      }), 'utf8');
+      makeTicket(ticketsDir, 'ab-1111', { status: 'open', priority: 0, tags: '[backend]' }, 'Backend bug');
+      makeTicket(ticketsDir, 'ab-2222', { status: 'closed', priority: 2, tags: '[backend]' }, 'Backend done');
+      makeTicket(ticketsDir, 'ab-3333', { status: 'in_progress', priority: 1, tags: '[frontend]' }, 'Frontend work');
+    });
+
+    it('--view applies the saved filters, columns and format', () => {
+      const out = run(['--view', 'triage'], { env: { TICKETS_DIR: ticketsDir } });
+      const lines = out.trim().split('\n');
+      assert.equal(lines[0], 'column,id,status,priority,assignee,title,tags,pr');
+      assert.deepEqual(lines.slice(1).map(l => l.split(',')[1]), ['ab-1111']);
+    });
+
+    it('explicit flags override the view', () => {
+      const out = run(['--view=triage', '--closed', '--format=json'], { env: { TICKETS_DIR: ticketsDir } });
+      const doc = JSON.parse(out);
+      assert.deepEqual(doc.columns.flatMap(c => c.tickets.map(t => t.id)), ['ab-1111', 'ab-2222']);
+    });
+
+    it('limits the board to the view columns', () => {
+      const doc = JSON.parse(run(['--view', 'urgent', '--format=json'], { env: { TICKETS_DIR: ticketsDir } }));
+      assert.deepEqual(doc.columns.map(c => c.key), ['open']);
+    });
+
+    it('--list-views shows the defined views', () => {
+      const out = run(['--list-views'], { env: { TICKETS_DIR: ticketsDir } });
+      assert.match(out, /triage\s+Backend triage/);
+      assert.match(out, /urgent\s+-q priority:<=1 --columns open/);
+    });
+
+    it('exits with error for unknown view', () => {
+      assert.throws(() => {
+        run(['--view', 'nope'], { env: { TICKETS_DIR: ticketsDir } });
+      }, /Unknown view: nope \(available: triage, urgent\)/);
+    });
+
+    it('rejects settings inherited from Object.prototype', () => {
+      fs.writeFileSync(path.join(ticketsDir, 'board.json'), '{"views":{"v":{"toString":1}}}', 'utf8');
+      assert.throws(() => {
+        run(['--view', 'v'], { env: { TICKETS_DIR: ticketsDir } });
+      }, /views\.v: unknown setting "toString"/);
+    });
+  });
+
   // --- card rendering ---
 
   describe('card rendering', () => {
@@ -218,6 +558,96 @@ describe('ticket-board', () => {
       assert.match(out, /P2/);
       assert.match(out, /P4/);
     });
+
+    it('measures wide characters in terminal cells', () => {
+      makeTicket(ticketsDir, 'ab-1111', { status: 'open' }, '修复登录页面的中文显示问题以及相关的布局错误');
+      makeTicket(ticketsDir, 'ab-2222', { status: 'in_progress', deps: '[ab-1111]' }, 'Next');
+
+      // 25-cell columns: 11 CJK characters and the ellipsis fill 23 cells
+      const lines = run([], { env: { TICKETS_DIR: ticketsDir } }).split('\n').map(l => l.trimEnd());
+      assert.equal(lines[3], '修复登录页面的中文显示\u2026    Next');
+      assert.equal(lines[4], `${' '.repeat(27)}\u26d4 1 dep`);
+    });
+
+    it('never splits an emoji or a combining accent', () => {
+      makeTicket(ticketsDir, 'ab-1111', { status: 'open' }, `${'x'.repeat(22)}🚀 launch`);
+      makeTicket(ticketsDir, 'ab-2222', { status: 'closed' }, `${'x'.repeat(22)}été release`);
+
+      const out = run([], { env: { TICKETS_DIR: ticketsDir } });
+      assert.match(out, new RegExp(`^${'x'.repeat(22)}\u2026 {3}`, 'm'));
+      assert.match(out, new RegExp(`${'x'.repeat(22)}é…`));
+      assert.doesNotMatch(out, /[\ud800-\udbff](?![\udc00-\udfff])/);
+    });
+
+    it('wraps long titles over several lines with --wrap', () => {
+      makeTicket(ticketsDir, 'ab-1111', { status: 'open' }, 'Make the export dialog remember the last folder used');
+      makeTicket(ticketsDir, 'ab-2222', { status: 'open' }, 'Short');
+      makeTicket(ticketsDir, 'ab-3333', { status: 'in_progress' }, '修复登录页面的中文显示问题以及相关的布局错误');
+
+      const lines = run(['--wrap'], { env: { TICKETS_DIR: ticketsDir } }).split('\n').map(l => l.trimEnd());
+      assert.deepEqual(lines.slice(2, 8), [
+        'ab-1111  P2                ab-3333  P2',
+        'Make the export dialog     修复登录页面的中文显示问',
+        'remember the last folder   题以及相关的布局错误',
+        'used',
+        '',
+        'ab-2222  P2',
+      ]);
+
+      fs.writeFileSync(path.join(ticketsDir, 'board.json'), JSON.stringify({ card: { wrap: true } }), 'utf8');
+      assert.match(run([], { env: { TICKETS_DIR: ticketsDir } }), /^used +$/m);
+      assert.doesNotMatch(run(['--no-wrap'], { env: { TICKETS_DIR: ticketsDir } }), /^used +$/m);
+    });
+  });
+
+  // --- card templates and themes ---
+
+  describe('card templates and themes', () => {
+    function writeConfig(config) {
+      fs.writeFileSync(path.join(ticketsDir, 'board.json'), JSON.stringify(config), 'utf8');
+    }
+
+    it('renders the fields and order of a card template', () => {
+      writeConfig({ card: { lines: ['id type', 'title:12', 'estimate assignee', 'parent'] } });
+      makeTicket(ticketsDir, 'ab-1111', { status: 'open', type: 'bug', estimate: 3, assignee: 'ham', tags: '[api]' }, 'A long enough title');
+
+      const out = run([], { env: { TICKETS_DIR: ticketsDir } });
+      const card = out.split('\n').slice(2).map(l => l.trimEnd()).filter(Boolean);
+      assert.deepEqual(card, ['ab-1111  bug', 'A long enou\u2026', '3  @ham']);
+    });
+
+    it('treats fields named like object properties as frontmatter fields', () => {
+      writeConfig({ card: { lines: ['id constructor toString'] } });
+      makeTicket(ticketsDir, 'ab-1111', { status: 'open', toString: 'yes' });
+
+      const out = run([], { env: { TICKETS_DIR: ticketsDir } });
+      assert.match(out, /^ab-1111  yes *$/m);
+      assert.match(run(['--lint'], { env: { TICKETS_DIR: ticketsDir } }), /1 ticket file OK/);
+    });
+
+    it('applies named themes and per-tag colors', () => {
+      writeConfig({ theme: '256', tagColors: { blocked: 'bold red' } });
+      makeTicket(ticketsDir, 'ab-1111', { status: 'open', priority: 0, assignee: 'ham', tags: '[blocked, api]' });
+
+      const out = run(['--color=always'], { env: { TICKETS_DIR: ticketsDir } });
+      assert.match(out, /\x1b\[1m\x1b\[38;5;196mP0/);
+      assert.match(out, /\x1b\[38;5;71m@ham/);
+      assert.match(out, /\x1b\[1m\x1b\[31m#blocked/);
+      assert.match(out, /\x1b\[38;5;38m#api/);
+
+      const truecolor = run(['--color=always', '--theme', 'truecolor'], { env: { TICKETS_DIR: ticketsDir } });
+      assert.match(truecolor, /\x1b\[38;2;152;195;121m@ham/);
+      assert.match(truecolor, /\x1b\[1m\x1b\[31m#blocked/);
+    });
+
+    it('rejects bad templates, themes and styles', () => {
+      writeConfig({ card: { lines: ['id title:x'] } });
+      assert.throws(() => run([], { env: { TICKETS_DIR: ticketsDir } }), /card\.lines\[0\]: "title:x" is not a field name/);
+      writeConfig({ theme: { base: 'light', tag: 'sparkly' } });
+      assert.throws(() => run([], { env: { TICKETS_DIR: ticketsDir } }), /theme\.tag: unknown style "sparkly"/);
+      writeConfig({});
+      assert.throws(() => run(['--theme', 'neon'], { env: { TICKETS_DIR: ticketsDir } }), /Unknown theme: neon \(expected one of: dark, light/);
+    });
   });
 
   // --- directory ascending ---
@@ -242,6 +672,846 @@ describe('ticket-board', () => {
     });
   });
 
+  // --- loading ---
+
+  describe('loading', () => {
+    // Date files back so they are old enough to be cached
+    function backdate(...files) {
+      const past = new Date(Date.now() - DAY);
+      for (const file of files) fs.utimesSync(file, past, past);
+    }
+
+    it('reuses cached tickets for unchanged files', () => {
+      makeTicket(ticketsDir, 'ab-1', { status: 'open' }, 'Real title');
+      makeTicket(ticketsDir, 'ab-2', { status: 'open' }, 'Other');
+      backdate(path.join(ticketsDir, 'ab-1.md'), path.join(ticketsDir, 'ab-2.md'));
+      run([], { env: { TICKETS_DIR: ticketsDir } });
+
+      // Swap a title in the cache: only a run that uses the cache can show it
+      const cacheFile = path.join(ticketsDir, '.board-cache.json');
+      const cache = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+      cache.entries['ab-1.md'].ticket.title = 'From cache';
+      fs.writeFileSync(cacheFile, JSON.stringify(cache));
+
+      assert.match(run([], { env: { TICKETS_DIR: ticketsDir } }), /From cache/);
+      assert.match(run(['--no-cache'], { env: { TICKETS_DIR: ticketsDir } }), /Real title/);
+
+      makeTicket(ticketsDir, 'ab-1', { status: 'open' }, 'Edited title');
+      const out = run([], { env: { TICKETS_DIR: ticketsDir } });
+      assert.match(out, /Edited title/);
+      assert.doesNotMatch(out, /From cache/);
+    });
+
+    it('drops deleted files from the cache', () => {
+      makeTicket(ticketsDir, 'ab-1', { status: 'open' }, 'Kept');
+      makeTicket(ticketsDir, 'ab-2', { status: 'open' }, 'Deleted');
+      backdate(path.join(ticketsDir, 'ab-1.md'), path.join(ticketsDir, 'ab-2.md'));
+      run([], { env: { TICKETS_DIR: ticketsDir } });
+      fs.unlinkSync(path.join(ticketsDir, 'ab-2.md'));
+
+      assert.doesNotMatch(run([], { env: { TICKETS_DIR: ticketsDir } }), /Deleted/);
+      const cache = JSON.parse(fs.readFileSync(path.join(ticketsDir, '.board-cache.json'), 'utf8'));
+      assert.deepEqual(Object.keys(cache.entries), ['ab-1.md']);
+    });
+
+    it('reads archive subdirectories when board.json sets recursive', () => {
+      makeTicket(ticketsDir, 'ab-1', { status: 'open' }, 'Current');
+      fs.mkdirSync(path.join(ticketsDir, 'archive', '2025'), { recursive: true });
+      makeTicket(path.join(ticketsDir, 'archive', '2025'), 'ab-2', { status: 'closed' }, 'Archived');
+      fs.mkdirSync(path.join(ticketsDir, '.trash'));
+      makeTicket(path.join(ticketsDir, '.trash'), 'ab-3', { status: 'open' }, 'Thrown away');
+
+      assert.doesNotMatch(run([], { env: { TICKETS_DIR: ticketsDir } }), /Archived/);
+
+      fs.writeFileSync(path.join(ticketsDir, 'board.json'), JSON.stringify({ recursive: true }));
+      const out = run([], { env: { TICKETS_DIR: ticketsDir } });
+      assert.match(out, /Current/);
+      assert.match(out, /Archived/);
+      assert.doesNotMatch(out, /Thrown away/);
+      assert.match(run(['--lint'], { env: { TICKETS_DIR: ticketsDir } }), /2 ticket files/);
+    });
+
+    it('rejects a recursive setting that is not a boolean', () => {
+      fs.writeFileSync(path.join(ticketsDir, 'board.json'), JSON.stringify({ recursive: 'yes' }));
+      const result = spawnSync(process.execPath, [BIN], { env: { ...process.env, TICKETS_DIR: ticketsDir }, encoding: 'utf8' });
+      assert.equal(result.status, 1);
+      assert.match(result.stderr, /"recursive" must be true or false/);
+    });
+  });
+
+  // --- dependencies ---
+
+  describe('dependencies', () => {
+    it('marks cards with open deps as blocked', () => {
+      makeTicket(ticketsDir, 'ab-1111', { status: 'open', priority: 2, deps: '[ab-2222, ab-3333, ab-4444]' }, 'Waiting');
+      makeTicket(ticketsDir, 'ab-2222', { status: 'in_progress', priority: 2 }, 'Dep one');
+      makeTicket(ticketsDir, 'ab-3333', { status: 'open', priority: 2 }, 'Dep two');
+      makeTicket(ticketsDir, 'ab-4444', { status: 'closed', priority: 2 }, 'Dep done');
+
+      const out = run([], { env: { TICKETS_DIR: ticketsDir } });
+      assert.match(out, /⛔ 2 deps/);
+
+      const doc = JSON.parse(run(['--format=json'], { env: { TICKETS_DIR: ticketsDir } }));
+      const waiting = doc.columns[0].tickets.find(t => t.id === 'ab-1111');
+      assert.deepEqual(waiting.deps, ['ab-2222', 'ab-3333', 'ab-4444']);
+      assert.deepEqual(waiting.blockedBy, ['ab-2222', 'ab-3333']);
+    });
+
+    it('--ready shows only unblocked open tickets', () => {
+      makeTicket(ticketsDir, 'ab-1111', { status: 'open', priority: 2, deps: '[ab-2222]' }, 'Blocked one');
+      makeTicket(ticketsDir, 'ab-2222', { status: 'in_progress', priority: 2 }, 'Working one');
+      makeTicket(ticketsDir, 'ab-3333', { status: 'open', priority: 2, deps: '[ab-4444]' }, 'Ready one');
+      makeTicket(ticketsDir, 'ab-4444', { status: 'closed', priority: 2 }, 'Closed one');
+
+      const out = run(['--ready'], { env: { TICKETS_DIR: ticketsDir } });
+      assert.match(out, /Ready one/);
+      assert.doesNotMatch(out, /Blocked one/);
+      assert.doesNotMatch(out, /Working one/);
+      assert.doesNotMatch(out, /Closed one/);
+    });
+
+    it('warns about missing deps and dependency cycles', () => {
+      makeTicket(ticketsDir, 'ab-1111', { status: 'open', priority: 2, deps: '[ab-2222]' }, 'One');
+      makeTicket(ticketsDir, 'ab-2222', { status: 'open', priority: 2, deps: '[ab-1111, ab-gone]' }, 'Two');
+
+      const result = spawnSync(process.execPath, [BIN], {
+        env: { ...process.env, TICKETS_DIR: ticketsDir },
+        encoding: 'utf8',
+      });
+      assert.equal(result.status, 0);
+      assert.match(result.stderr, /ab-2222 depends on missing ticket ab-gone/);
+      assert.match(result.stderr, /dependency cycle: ab-1111 → ab-2222 → ab-1111/);
+    });
+  });
+
+  // --- epics ---
+
+  describe('epics', () => {
+    beforeEach(() => {
+      makeTicket(ticketsDir, 'ep-1', { status: 'in_progress' }, 'Auth rewrite');
+      makeTicket(ticketsDir, 'ep-2', { status: 'open', parent: 'ep-1' }, 'Token store');
+      makeTicket(ticketsDir, 'ep-3', { status: 'closed', parent: 'ep-1' }, 'Login form');
+      makeTicket(ticketsDir, 'ep-4', { status: 'closed', parent: 'ep-1' }, 'Sessions');
+      makeTicket(ticketsDir, 'ep-5', { status: 'in_progress', parent: 'ep-1' }, 'OAuth');
+      makeTicket(ticketsDir, 'ep-6', { status: 'closed', parent: 'ep-1' }, 'Logout');
+      makeTicket(ticketsDir, 'ep-7', { status: 'open', parent: 'ep-2' }, 'Refresh tokens');
+      makeTicket(ticketsDir, 'ab-1', { status: 'open' }, 'Unrelated');
+    });
+
+    function idsOf(out) {
+      return [...out.matchAll(/\b((?:ab|ep)-\d+)  P/g)].map(m => m[1]).sort();
+    }
+
+    it('shows the progress of an epic from its children', () => {
+      const out = run([], { env: { TICKETS_DIR: ticketsDir } });
+      assert.match(out, /^ {27}\u2593\u2593\u2593\u2591\u2591 3\/5 /m);
+      assert.match(out, /\u2591\u2591\u2591\u2591\u2591 0\/1/);
+
+      const json = JSON.parse(run(['--format=json'], { env: { TICKETS_DIR: ticketsDir } }));
+      const epic = json.columns[1].tickets.find(t => t.id === 'ep-1');
+      assert.deepEqual(epic.children, ['ep-2', 'ep-3', 'ep-4', 'ep-5', 'ep-6']);
+      assert.deepEqual(epic.progress, { done: 3, total: 5 });
+    });
+
+    it('--epic shows one subtree and --collapse-children hides children', () => {
+      const env = { TICKETS_DIR: ticketsDir };
+      assert.deepEqual(idsOf(run(['--epic', 'ep-2'], { env })), ['ep-2', 'ep-7']);
+      assert.deepEqual(idsOf(run(['--collapse-children'], { env })), ['ab-1', 'ep-1']);
+      assert.deepEqual(idsOf(run(['--epic', 'ep-2', '--collapse-children'], { env })), ['ep-2']);
+      // A child whose parent is filtered out stays on the board
+      assert.deepEqual(idsOf(run(['--collapse-children', '--no-closed', '-q', 'status:open'], { env })), ['ab-1', 'ep-2']);
+    });
+
+    it('warns about missing parents and epics', () => {
+      makeTicket(ticketsDir, 'ab-2', { status: 'open', parent: 'ab-99' }, 'Orphan');
+      const result = spawnSync(process.execPath, [BIN, '--epic', 'ep-99'], { env: { ...process.env, TICKETS_DIR: ticketsDir }, encoding: 'utf8' });
+      assert.equal(result.status, 0);
+      assert.equal(result.stderr, 'Warning: ab-2 has missing parent ab-99\nWarning: epic ep-99 does not exist\n');
+      assert.deepEqual(idsOf(result.stdout), []);
+    });
+  });
+
+  // --- swimlanes ---
+
+  describe('swimlanes', () => {
+    it('--swimlanes=assignee splits the board into labelled lanes', () => {
+      makeTicket(ticketsDir, 'ab-1111', { status: 'open', priority: 2, assignee: 'ham' }, 'Ham task');
+      makeTicket(ticketsDir, 'ab-2222', { status: 'in_progress', priority: 2, assignee: 'ewe' }, 'Ewe task');
+      makeTicket(ticketsDir, 'ab-3333', { status: 'open', priority: 2 }, 'Nobody task');
+
+      const out = run(['--swimlanes=assignee'], { env: { TICKETS_DIR: ticketsDir } });
+      const eweIdx = out.indexOf('@ewe  OPEN 0 · IN PROGRESS 1 · CLOSED 0');
+      const hamIdx = out.indexOf('@ham  OPEN 1 · IN PROGRESS 0 · CLOSED 0');
+      const restIdx = out.indexOf('(no assignee)');
+      assert.ok(eweIdx !== -1 && hamIdx !== -1 && restIdx !== -1, out);
+      assert.ok(eweIdx < out.indexOf('Ewe task') && out.indexOf('Ewe task') < hamIdx);
+      assert.ok(hamIdx < out.indexOf('Ham task') && out.indexOf('Ham task') < restIdx);
+      assert.ok(restIdx < out.indexOf('Nobody task'));
+    });
+
+    it('--swimlanes tag puts a ticket in each of its tag lanes', () => {
+      makeTicket(ticketsDir, 'ab-1111', { status: 'open', priority: 2, tags: '[api, web]' }, 'Shared');
+
+      const doc = JSON.parse(run(['--swimlanes', 'tag', '--format=json'], { env: { TICKETS_DIR: ticketsDir } }));
+      assert.equal(doc.swimlanes.by, 'tag');
+      assert.deepEqual(doc.swimlanes.lanes.map(l => l.label), ['#api', '#web']);
+      for (const lane of doc.swimlanes.lanes) {
+        assert.deepEqual(lane.columns[0].tickets.map(t => t.id), ['ab-1111']);
+      }
+    });
+
+    it('--swimlanes=parent labels lanes with the parent title', () => {
+      makeTicket(ticketsDir, 'ab-epic', { status: 'open', priority: 1 }, 'Auth rewrite');
+      makeTicket(ticketsDir, 'ab-1111', { status: 'open', priority: 2, parent: 'ab-epic' }, 'Child task');
+
+      const out = run(['--swimlanes=parent'], { env: { TICKETS_DIR: ticketsDir } });
+      assert.match(out, /ab-epic: Auth rewrite/);
+      assert.match(out, /\(no parent\)/);
+    });
+
+    it('exits with error for unknown swimlane key', () => {
+      assert.throws(() => {
+        run(['--swimlanes=color'], { env: { TICKETS_DIR: ticketsDir } });
+      }, /Unknown swimlane key: color/);
+    });
+  });
+
+  // --- sorting ---
+
+  describe('sorting', () => {
+    function idsOf(out) {
+      return [...out.matchAll(/^(ab-\d+)/gm)].map(m => m[1]);
+    }
+
+    it('breaks priority ties by natural id order', () => {
+      for (const id of ['ab-10', 'ab-9', 'ab-2']) makeTicket(ticketsDir, id, { status: 'open' });
+      makeTicket(ticketsDir, 'ab-11', { status: 'open', priority: 0 });
+
+      assert.deepEqual(idsOf(run([], { env: { TICKETS_DIR: ticketsDir } })), ['ab-11', 'ab-2', 'ab-9', 'ab-10']);
+    });
+
+    it('--sort takes several keys, descending keys and any field', () => {
+      makeTicket(ticketsDir, 'ab-1', { status: 'open', assignee: 'ewe', created: '2026-01-03', updated: '2026-01-05', estimate: 8 });
+      makeTicket(ticketsDir, 'ab-2', { status: 'open', assignee: 'ham', priority: 0, created: '2026-01-01', updated: '2026-01-10', estimate: 10 });
+      makeTicket(ticketsDir, 'ab-3', { status: 'open', assignee: 'ewe', priority: 1, created: '2026-01-02', updated: '2026-01-04' });
+      const sorted = (keys) => idsOf(run(['--sort', keys], { env: { TICKETS_DIR: ticketsDir } }));
+
+      assert.deepEqual(sorted('assignee,priority'), ['ab-3', 'ab-1', 'ab-2']);
+      assert.deepEqual(sorted('-created'), ['ab-1', 'ab-3', 'ab-2']);
+      assert.deepEqual(sorted('age'), ['ab-2', 'ab-1', 'ab-3']);
+      assert.deepEqual(sorted('estimate'), ['ab-1', 'ab-2', 'ab-3']);
+      assert.deepEqual(sorted('-estimate'), ['ab-2', 'ab-1', 'ab-3']);
+      assert.throws(() => sorted('priority,'), /invalid sort key "" in "priority,"/);
+    });
+
+    it('uses per-column sorts from board.json unless --sort is given', () => {
+      fs.writeFileSync(path.join(ticketsDir, 'board.json'), JSON.stringify({
+        sort: '-priority',
+        columns: [{ key: 'open' }, { key: 'closed', sort: '-closed' }],
+      }), 'utf8');
+      makeTicket(ticketsDir, 'ab-1', { status: 'open', priority: 1 });
+      makeTicket(ticketsDir, 'ab-2', { status: 'open', priority: 3 });
+      makeTicket(ticketsDir, 'ab-3', { status: 'closed', priority: 0, closed: '2026-02-01' });
+      makeTicket(ticketsDir, 'ab-4', { status: 'closed', priority: 4, closed: '2026-02-05' });
+
+      const doc = JSON.parse(run(['--format=json'], { env: { TICKETS_DIR: ticketsDir } }));
+      assert.deepEqual(doc.columns.map(c => c.tickets.map(t => t.id)), [['ab-2', 'ab-1'], ['ab-4', 'ab-3']]);
+      const overridden = JSON.parse(run(['--format=json', '--sort=priority'], { env: { TICKETS_DIR: ticketsDir } }));
+      assert.deepEqual(overridden.columns.map(c => c.tickets.map(t => t.id)), [['ab-1', 'ab-2'], ['ab-3', 'ab-4']]);
+
+      fs.writeFileSync(path.join(ticketsDir, 'board.json'), JSON.stringify({ columns: [{ key: 'open', sort: 'priority;id' }] }), 'utf8');
+      assert.throws(() => run([], { env: { TICKETS_DIR: ticketsDir } }), /columns\[0\]\.sort: invalid sort key "priority;id"/);
+    });
+  });
+
+  // --- card limits ---
+
+  describe('card limits', () => {
+    it('--limit caps every column with a "+N more" line', () => {
+      fs.writeFileSync(path.join(ticketsDir, 'board.json'), JSON.stringify({
+        columns: [{ key: 'open', wip: 3 }, { key: 'closed' }],
+      }), 'utf8');
+      for (const n of [1, 2, 3, 4]) makeTicket(ticketsDir, `ab-${n}`, { status: 'open', priority: n }, `Task ${n}`);
+      makeTicket(ticketsDir, 'ab-9', { status: 'closed' }, 'Done');
+
+      const lines = run(['--limit', '2'], { env: { TICKETS_DIR: ticketsDir } }).split('\n').map(l => l.trimEnd());
+      assert.match(lines[0], /^OPEN 4\/3/);
+      assert.deepEqual(lines.slice(-4, -1), ['Task 2', '', '+2 more']);
+      assert.doesNotMatch(lines.join('\n'), /ab-3/);
+
+      assert.match(run(['--no-limit'], { env: { TICKETS_DIR: ticketsDir } }), /ab-4/);
+      assert.throws(() => run(['--limit', '0'], { env: { TICKETS_DIR: ticketsDir } }), /--limit must be a positive number/);
+    });
+
+    it('shows the most recently closed tickets by default', () => {
+      for (let day = 1; day <= 12; day++) {
+        makeTicket(ticketsDir, `ab-${day}`, { status: 'closed', closed: `2026-03-${String(day).padStart(2, '0')}` }, `Closed ${day}`);
+      }
+
+      const out = run([], { env: { TICKETS_DIR: ticketsDir } });
+      assert.match(out, /Closed 12/);
+      assert.match(out, /Closed 3\b/);
+      assert.doesNotMatch(out, /Closed 1\b|Closed 2\b/);
+      assert.match(out, /\+2 more/);
+      assert.match(run(['--no-limit'], { env: { TICKETS_DIR: ticketsDir } }), /Closed 1\b/);
+
+      fs.writeFileSync(path.join(ticketsDir, 'board.json'), JSON.stringify({ closedLimit: null }), 'utf8');
+      assert.doesNotMatch(run([], { env: { TICKETS_DIR: ticketsDir } }), /more/);
+      fs.writeFileSync(path.join(ticketsDir, 'board.json'), JSON.stringify({ closedLimit: 0 }), 'utf8');
+      assert.throws(() => run([], { env: { TICKETS_DIR: ticketsDir } }), /"closedLimit" must be a positive integer or null/);
+    });
+  });
+
+  // --- stale tickets ---
+
+  describe('stale tickets', () => {
+    // An ISO timestamp `days` days and an hour ago
+    const daysAgo = (days) => new Date(Date.now() - days * DAY - 60 * 60 * 1000).toISOString();
+
+    beforeEach(() => {
+      makeTicket(ticketsDir, 'ab-1', { status: 'in_progress', created: '2026-01-01', updated: daysAgo(20) }, 'Old work');
+      makeTicket(ticketsDir, 'ab-2', { status: 'in_progress', created: daysAgo(40) }, 'Recent work');
+      makeTicket(ticketsDir, 'ab-3', { status: 'open' }, 'Fresh');
+      makeTicket(ticketsDir, 'ab-4', { status: 'closed', created: '2020-01-01' }, 'Done');
+      // Last moved 12 days ago
+      const moved = new Date(daysAgo(12));
+      fs.utimesSync(path.join(ticketsDir, 'ab-2.md'), moved, moved);
+    });
+
+    it('shows how long each card has gone untouched', () => {
+      const out = run([], { env: { TICKETS_DIR: ticketsDir } });
+      assert.match(out, /ab-1  P2  2w/);
+      assert.match(out, /ab-2  P2  12d/);
+      assert.match(out, /ab-3  P2 +ab-1/);
+      assert.match(out, /ab-4  P2 +\n/);
+
+      // Without dates the file's modification time counts
+      const old = new Date(Date.now() - 40 * DAY);
+      fs.utimesSync(path.join(ticketsDir, 'ab-3.md'), old, old);
+      assert.match(run([], { env: { TICKETS_DIR: ticketsDir } }), /ab-3  P2  5w/);
+
+      // An old ticket that was just moved is fresh, whatever its created: date
+      makeTicket(ticketsDir, 'ab-2', { status: 'in_progress', created: daysAgo(40) }, 'Recent work');
+      assert.match(run([], { env: { TICKETS_DIR: ticketsDir } }), /ab-2  P2 +\n/);
+    });
+
+    it('--stale and --check-stale use per-column thresholds', () => {
+      const env = { TICKETS_DIR: ticketsDir };
+      assert.deepEqual(run(['--stale', '--format=csv'], { env }).trim().split('\n').slice(1).map(l => l.split(',')[1]), ['ab-1']);
+      assert.match(run(['-q', 'is:stale', '--color=always'], { env }), /ab-1  P2  \x1b\[1m\x1b\[33m2w/);
+
+      const check = spawnSync(process.execPath, [BIN, '--check-stale'], { env: { ...process.env, ...env }, encoding: 'utf8' });
+      assert.equal(check.status, 1);
+      assert.equal(check.stdout, 'Stale tickets:\n  IN PROGRESS: ab-1 untouched for 20 days (limit 14): Old work\n');
+
+      fs.writeFileSync(path.join(ticketsDir, 'board.json'), JSON.stringify({
+        staleAfter: 10,
+        columns: [{ key: 'open' }, { key: 'in_progress', staleAfter: null }, { key: 'closed' }],
+      }), 'utf8');
+      assert.equal(run(['--check-stale'], { env }), 'No stale tickets\n');
+
+      fs.writeFileSync(path.join(ticketsDir, 'board.json'), JSON.stringify({ staleAfter: 10 }), 'utf8');
+      assert.deepEqual(run(['--stale', '--format=csv'], { env }).trim().split('\n').slice(1).map(l => l.split(',')[1]), ['ab-1', 'ab-2']);
+
+      fs.writeFileSync(path.join(ticketsDir, 'board.json'), JSON.stringify({ staleAfter: '2w' }), 'utf8');
+      assert.throws(() => run([], { env }), /"staleAfter" must be a number of days or null/);
+    });
+  });
+
+  // --- pull requests ---
+
+  describe('pull requests', () => {
+    const PR = 'https://github.com/org/repo/pull/12';
+    let provider, env;
+
+    // A status provider that answers for PR 12 only
+    beforeEach(() => {
+      provider = path.join(tmp, 'provider.js');
+      fs.writeFileSync(provider, `console.log(JSON.stringify({ ${JSON.stringify(PR)}: { state: 'merged', checks: 'passing' } }));`, 'utf8');
+      env = { TICKETS_DIR: ticketsDir, XDG_CACHE_HOME: path.join(tmp, 'cache') };
+      makeTicket(ticketsDir, 'ab-1111', { status: 'in_progress', priority: 1, pull_request: PR }, 'Fix auth');
+      makeTicket(ticketsDir, 'ab-2222', { status: 'open', priority: 1, pull_request: 'https://github.com/org/repo/pull/13' }, 'Add login');
+    });
+
+    it('prints OSC 8 links labelled org/repo#12 with --hyperlinks=always', () => {
+      const out = run(['--hyperlinks=always'], { env });
+      assert.ok(out.includes(`\x1b]8;;${PR}\x1b\\org/repo#12\x1b]8;;\x1b\\`));
+      assert.doesNotMatch(run(['--hyperlinks=never'], { env }), /\x1b\]8;/);
+      assert.doesNotMatch(run([], { env }), /\x1b\]8;/);
+    });
+
+    it('shows the state from a status provider and caches it', () => {
+      fs.writeFileSync(path.join(ticketsDir, 'board.json'), JSON.stringify({ prStatus: { command: [process.execPath, provider] } }), 'utf8');
+      env.TK_ALLOW_PR_COMMAND = `${process.execPath} ${provider}`;
+
+      const out = run(['--hyperlinks=always'], { env });
+      assert.ok(out.includes(`\x1b]8;;${PR}\x1b\\merged \u2713 org/repo#12\x1b]8;;\x1b\\`));
+      assert.match(out, /\x1b\\org\/repo#13/);
+      assert.doesNotMatch(run(['--no-pr-status'], { env }), /merged/);
+
+      // Answers within the TTL come from the cache
+      fs.rmSync(provider);
+      assert.match(run([], { env }), /merged \u2713 https:\/\/github/);
+      const cache = JSON.parse(fs.readFileSync(path.join(tmp, 'cache', 'ticket-board', 'pr-status.json'), 'utf8'));
+      assert.deepEqual(cache[PR].status, { state: 'merged', checks: 'passing' });
+    });
+
+    it('shows the states on the served page', async () => {
+      fs.writeFileSync(path.join(ticketsDir, 'board.json'), JSON.stringify({ prStatus: { command: [process.execPath, provider] } }), 'utf8');
+      env.TK_ALLOW_PR_COMMAND = `${process.execPath} ${provider}`;
+
+      const board = spawnBoard(['serve', '--port', '0'], { env });
+      try {
+        const out = await board.waitFor(/http:\/\/localhost:\d+\//);
+        const page = await (await fetch(out.match(/http:\/\/localhost:\d+\//)[0])).text();
+        assert.match(page, /merged/);
+      } finally {
+        await board.stop();
+      }
+    });
+
+    it('only runs a command from board.json that TK_ALLOW_PR_COMMAND allows', () => {
+      fs.writeFileSync(path.join(ticketsDir, 'board.json'), JSON.stringify({ prStatus: { command: [process.execPath, provider] } }), 'utf8');
+
+      for (const allowed of [undefined, process.execPath, `${process.execPath} other.js`]) {
+        const result = spawnSync(process.execPath, [BIN], { env: { ...process.env, ...env, TK_ALLOW_PR_COMMAND: allowed }, encoding: 'utf8' });
+        assert.equal(result.status, 0);
+        assert.doesNotMatch(result.stdout, /merged/);
+        assert.match(result.stderr, /Warning: not running prStatus\.command from board\.json; set TK_ALLOW_PR_COMMAND=/);
+      }
+      assert.match(run([], { env: { ...env, TK_ALLOW_PR_COMMAND: `other${path.delimiter}${process.execPath} ${provider}` } }), /merged/);
+    });
+
+    it('shows plain links when the provider fails', () => {
+      fs.writeFileSync(path.join(ticketsDir, 'board.json'), JSON.stringify({ prStatus: { command: 'no-such-pr-status-command' } }), 'utf8');
+      env.TK_ALLOW_PR_COMMAND = 'no-such-pr-status-command';
+
+      const out = run([], { env });
+      assert.match(out, /https:\/\/github\.com\/org\//);
+      assert.doesNotMatch(out, /merged|open /);
+    });
+
+    it('rejects an unknown provider', () => {
+      fs.writeFileSync(path.join(ticketsDir, 'board.json'), JSON.stringify({ prStatus: { provider: 'bitbucket' } }), 'utf8');
+      assert.throws(() => run([], { env }), /prStatus\.provider must be one of: gh, command/);
+    });
+  });
+
+  // --- several projects ---
+
+  describe('several projects', () => {
+    let apiDir, webDir;
+
+    beforeEach(() => {
+      apiDir = path.join(tmp, 'api', '.tickets');
+      webDir = path.join(tmp, 'web', '.tickets');
+      fs.mkdirSync(apiDir, { recursive: true });
+      fs.mkdirSync(webDir, { recursive: true });
+      makeTicket(apiDir, 'ab-1', { status: 'open', priority: 1 }, 'API login');
+      makeTicket(apiDir, 'ab-2', { status: 'open', deps: '[ab-1]' }, 'API tokens');
+      makeTicket(webDir, 'ab-1', { status: 'in_progress', deps: '[api/ab-2]' }, 'Web login page');
+    });
+
+    it('merges --dir directories and qualifies ids with the project', () => {
+      const out = run(['--dir', path.join(tmp, 'api'), '--dir', webDir, '--format=json'], { cwd: tmp });
+      const doc = JSON.parse(out);
+      assert.deepEqual(doc.projects.map(p => p.name), ['api', 'web']);
+      assert.deepEqual(doc.columns[0].tickets.map(t => [t.id, t.project]), [['api/ab-1', 'api'], ['api/ab-2', 'api']]);
+      assert.deepEqual(doc.columns[0].tickets[1].blockedBy, ['api/ab-1']);
+      assert.deepEqual(doc.columns[1].tickets.map(t => t.id), ['web/ab-1']);
+      assert.deepEqual(doc.columns[1].tickets[0].blockedBy, ['api/ab-2']);
+
+      const board = run(['--dir', apiDir, '--dir', webDir], { cwd: tmp });
+      assert.match(board, /^api\/ab-1  P1 +web\/ab-1  P2/m);
+    });
+
+    it('reads a workspace file and filters with --project', () => {
+      const workspace = path.join(tmp, 'workspace.json');
+      fs.writeFileSync(workspace, JSON.stringify({ projects: { backend: 'api', frontend: 'web/.tickets' } }), 'utf8');
+
+      const out = run(['--workspace', workspace, '--project', 'frontend'], { cwd: tmp });
+      assert.match(out, /frontend\/ab-1/);
+      assert.doesNotMatch(out, /backend\//);
+
+      const lanes = run(['--workspace', workspace, '--swimlanes=project'], { cwd: tmp });
+      assert.ok(lanes.indexOf('backend  OPEN 2') < lanes.indexOf('frontend  OPEN 0'), lanes);
+    });
+
+    it('rejects clashing names and options a merged board does not support', () => {
+      assert.throws(() => run(['--dir', apiDir, '--dir', path.join(tmp, 'api')], { cwd: tmp }), /two projects are called "api"/);
+      assert.doesNotThrow(() => run(['--dir', apiDir, '--dir', `api2=${path.join(tmp, 'api')}`], { cwd: tmp }));
+      assert.throws(() => run(['--dir', apiDir, '--dir', webDir, '-w'], { cwd: tmp }), /several projects cannot be combined with --watch/);
+      assert.throws(() => run(['--dir', apiDir, '--project', 'api'], { cwd: tmp }), /--project needs several projects/);
+      assert.throws(() => run(['--dir', path.join(tmp, 'nope')], { cwd: tmp }), /no tickets directory at/);
+    });
+  });
+
+  // --- output formats ---
+
+  describe('output formats', () => {
+    it('--format=json emits grouped columns with parsed tickets', () => {
+      makeTicket(ticketsDir, 'ab-1111', { status: 'open', priority: 1, assignee: 'ham', tags: '[api]' }, 'Open one');
+      makeTicket(ticketsDir, 'ab-2222', { status: 'closed', priority: 2 }, 'Closed one');
+
+      const doc = JSON.parse(run(['--format=json'], { env: { TICKETS_DIR: ticketsDir } }));
+      assert.equal(doc.version, 1);
+      assert.deepEqual(doc.columns.map(c => c.key), ['open', 'in_progress', 'closed']);
+      const [ticket] = doc.columns[0].tickets;
+      assert.equal(ticket.id, 'ab-1111');
+      assert.equal(ticket.priority, 1);
+      assert.equal(ticket.assignee, 'ham');
+      assert.deepEqual(ticket.tags, ['api']);
+      assert.equal(ticket.title, 'Open one');
+      assert.equal(doc.columns[2].tickets[0].id, 'ab-2222');
+    });
+
+    it('--format json respects filters and hidden columns', () => {
+      makeTicket(ticketsDir, 'ab-1111', { status: 'open', priority: 2, assignee: 'ham' }, 'Mine');
+      makeTicket(ticketsDir, 'ab-2222', { status: 'open', priority: 2, assignee: 'ewe' }, 'Theirs');
+
+      const doc = JSON.parse(run(['--format', 'json', '-a', 'ham', '--no-closed'], { env: { TICKETS_DIR: ticketsDir } }));
+      assert.deepEqual(doc.columns.map(c => c.key), ['open', 'in_progress']);
+      assert.deepEqual(doc.columns[0].tickets.map(t => t.id), ['ab-1111']);
+    });
+
+    it('--format=csv emits one quoted row per ticket', () => {
+      makeTicket(ticketsDir, 'ab-1111', { status: 'in_progress', priority: 0, tags: '[a, b]' }, 'Fix "auth", again');
+
+      const out = run(['--format=csv'], { env: { TICKETS_DIR: ticketsDir } });
+      const lines = out.trim().split('\n');
+      assert.equal(lines[0], 'column,id,status,priority,assignee,title,tags,pr');
+      assert.equal(lines[1], 'in_progress,ab-1111,in_progress,0,,"Fix ""auth"", again",a;b,');
+    });
+
+    it('--format=markdown emits a table board', () => {
+      makeTicket(ticketsDir, 'ab-1111', { status: 'open', priority: 2, assignee: 'ham' }, 'Pipe | title');
+
+      const out = run(['--format=markdown'], { env: { TICKETS_DIR: ticketsDir } });
+      const lines = out.trim().split('\n');
+      assert.equal(lines[0], '| OPEN (1) | IN PROGRESS (0) | CLOSED (0) |');
+      assert.equal(lines[1], '|---|---|---|');
+      assert.equal(lines[2], '| **ab-1111** P2<br>Pipe \\| title<br>@ham |  |  |');
+    });
+
+    it('--format=html writes a self-contained page with -o', () => {
+      makeTicket(ticketsDir, 'ab-1111', { status: 'open', priority: 0, tags: '[api]', pull_request: 'https://github.com/org/repo/pull/12' }, 'Fix <auth>');
+      makeTicket(ticketsDir, 'ab-2222', { status: 'open', priority: 3, assignee: 'ewe' }, 'Other');
+      const file = path.join(tmp, 'board.html');
+
+      const out = run(['--format=html', '-o', file, '-a', 'ewe'], { env: { TICKETS_DIR: ticketsDir } });
+      assert.equal(out, '');
+      const html = fs.readFileSync(file, 'utf8');
+      assert.match(html, /^<!DOCTYPE html>/);
+      assert.doesNotMatch(html, /<(link|script)[^>]* (src|href)=/);
+      assert.match(html, /<h3>OPEN <span class="count">1<\/span><\/h3>/);
+      assert.match(html, /class="card p3"/);
+      assert.doesNotMatch(html, /ab-1111/);
+
+      const all = run(['--format=html'], { env: { TICKETS_DIR: ticketsDir } });
+      assert.match(all, /Fix &lt;auth&gt;/);
+      assert.match(all, /<span class="tag">api<\/span>/);
+      assert.match(all, /<a class="pr" href="https:\/\/github.com\/org\/repo\/pull\/12"/);
+      assert.match(all, /<details data-id="ab-1111"><summary>Details<\/summary><pre>Description.<\/pre><\/details>/);
+    });
+
+    it('exits with error for unknown format', () => {
+      assert.throws(() => {
+        run(['--format=xml'], { env: { TICKETS_DIR: ticketsDir } });
+      }, /Unknown format: xml/);
+    });
+  });
+
+  // --- quick actions ---
+
+  describe('quick actions', () => {
+    const CONTENT = '---\nid: ab-1234\nstatus: open  # triaged\ntags:\n  - api\n  - in_review\nx-custom: "keep: me"\n---\n# Fix auth\n\nstatus: not frontmatter\n';
+    let file, env;
+
+    beforeEach(() => {
+      file = path.join(ticketsDir, 'ab-1234.md');
+      fs.writeFileSync(file, CONTENT, 'utf8');
+      makeTicket(ticketsDir, 'ab-1299', { status: 'open' }, 'Other');
+      env = { TICKETS_DIR: ticketsDir };
+    });
+
+    it('move rewrites only the status line and accepts part of an ID', () => {
+      assert.equal(run(['move', '1234', 'in_progress'], { env }), 'ab-1234: status open \u2192 in_progress\n');
+      assert.equal(fs.readFileSync(file, 'utf8'), CONTENT.replace('status: open  # triaged', 'status: in_progress'));
+
+      assert.throws(() => run(['move', 'ab-12', 'closed'], { env }), /ambiguous ID 'ab-12' matches ab-1234, ab-1299/);
+      assert.throws(() => run(['move', 'zz', 'closed'], { env }), /ticket 'zz' not found/);
+      assert.throws(() => run(['move', '1234', 'done'], { env }), /Unknown status: done \(expected one of: open, in_progress, closed\)/);
+    });
+
+    it('tag and assign keep the list style and the rest of the file', () => {
+      fs.writeFileSync(path.join(ticketsDir, 'board.json'), JSON.stringify({ aliases: { ham: ['Ham Smith'] } }), 'utf8');
+
+      assert.equal(run(['tag', '1234', '+blocked', '-in_review'], { env }), 'ab-1234: tags #api #blocked\n');
+      assert.equal(run(['assign', '1234', 'Ham Smith'], { env }), 'ab-1234: assignee (none) \u2192 ham\n');
+      assert.equal(fs.readFileSync(file, 'utf8'), CONTENT
+        .replace('  - in_review\n', '  - blocked\n')
+        .replace('"keep: me"\n', '"keep: me"\nassignee: ham\n'));
+
+      assert.equal(run(['assign', '1234', 'ham'], { env }), 'ab-1234: nothing to change\n');
+      run(['assign', '1234', '-'], { env });
+      assert.doesNotMatch(fs.readFileSync(file, 'utf8'), /assignee/);
+    });
+
+    it('--dry-run prints a diff and leaves the file alone', () => {
+      const out = run(['move', 'ab-1234', 'closed', '--dry-run'], { env, cwd: tmp });
+      assert.equal(out, [
+        '--- a/.tickets/ab-1234.md',
+        '+++ b/.tickets/ab-1234.md',
+        '@@ -1,6 +1,6 @@',
+        ' ---',
+        ' id: ab-1234',
+        '-status: open  # triaged',
+        '+status: closed',
+        ' tags:',
+        '   - api',
+        '   - in_review',
+        '',
+      ].join('\n'));
+      assert.equal(fs.readFileSync(file, 'utf8'), CONTENT);
+      assert.throws(() => run(['tag', 'ab-1234'], { env }), /usage: tk board tag ID \+TAG -TAG\.\.\./);
+    });
+  });
+
+  // --- watch mode ---
+
+  describe('watch mode', () => {
+    it('redraws when a ticket file changes', async () => {
+      makeTicket(ticketsDir, 'ab-1111', { status: 'open', priority: 2 }, 'Before edit');
+
+      const board = spawnBoard(['--watch'], { env: { TICKETS_DIR: ticketsDir } });
+      try {
+        await board.waitFor(/Before edit[\s\S]*Last refresh:/);
+        makeTicket(ticketsDir, 'ab-1111', { status: 'in_progress', priority: 2 }, 'After edit');
+        await board.waitFor(/After edit/);
+        makeTicket(ticketsDir, 'ab-2222', { status: 'open', priority: 1 }, 'Brand new');
+        await board.waitFor(/Brand new/);
+      } finally {
+        await board.stop();
+      }
+    });
+
+    it('keeps the last good card while a file is half-written', async () => {
+      makeTicket(ticketsDir, 'ab-1111', { status: 'open', priority: 2 }, 'Stable title');
+
+      const board = spawnBoard(['--watch'], { env: { TICKETS_DIR: ticketsDir } });
+      try {
+        await board.waitFor(/Stable title/);
+        fs.writeFileSync(path.join(ticketsDir, 'ab-1111.md'), '---\nid: ab-1111\nstat', 'utf8');
+        fs.writeFileSync(path.join(ticketsDir, '.ab-2222.md.swp'), 'garbage', 'utf8');
+        fs.writeFileSync(path.join(ticketsDir, '.#ab-3333.md'), '---\nid: ab-3333\n---\n# Lock file\n', 'utf8');
+        makeTicket(ticketsDir, 'ab-4444', { status: 'open', priority: 2 }, 'Sentinel');
+
+        const out = await board.waitFor(/Sentinel/);
+        const lastFrame = out.slice(out.lastIndexOf('OPEN'));
+        assert.match(lastFrame, /Stable title/);
+        assert.doesNotMatch(lastFrame, /Lock file/);
+      } finally {
+        await board.stop();
+      }
+    });
+
+    it('watches subdirectories when board.json sets recursive', async () => {
+      fs.writeFileSync(path.join(ticketsDir, 'board.json'), JSON.stringify({ recursive: true }));
+      fs.mkdirSync(path.join(ticketsDir, 'archive'));
+      makeTicket(ticketsDir, 'ab-1111', { status: 'open', priority: 2 }, 'Top level');
+
+      const board = spawnBoard(['--watch'], { env: { TICKETS_DIR: ticketsDir } });
+      try {
+        await board.waitFor(/Top level[\s\S]*Last refresh:/);
+        makeTicket(path.join(ticketsDir, 'archive'), 'ab-2222', { status: 'closed', priority: 2 }, 'Archived');
+        await board.waitFor(/Archived/);
+      } finally {
+        await board.stop();
+      }
+    });
+  });
+
+  // --- serve ---
+
+  describe('serve', () => {
+    it('serves the board and signals changes to the page', async () => {
+      makeTicket(ticketsDir, 'ab-1111', { status: 'open', priority: 2 }, 'Served ticket');
+
+      const board = spawnBoard(['serve', '--port', '0', '--no-closed'], { env: { TICKETS_DIR: ticketsDir } });
+      const controller = new AbortController();
+      try {
+        const out = await board.waitFor(/http:\/\/localhost:\d+\//);
+        const url = out.match(/http:\/\/localhost:\d+\//)[0];
+
+        const page = await (await fetch(url)).text();
+        assert.match(page, /Served ticket/);
+        assert.match(page, /EventSource/);
+        assert.doesNotMatch(page, /CLOSED/);
+
+        const events = await fetch(`${url}events`, { signal: controller.signal });
+        assert.equal(events.headers.get('content-type'), 'text/event-stream');
+        const reader = events.body.getReader();
+        await reader.read(); // connected comment
+        makeTicket(ticketsDir, 'ab-1111', { status: 'open', priority: 2 }, 'Edited ticket');
+        const { value } = await reader.read();
+        assert.match(Buffer.from(value).toString(), /data: change/);
+
+        assert.match(await (await fetch(url)).text(), /Edited ticket/);
+        assert.equal((await fetch(`${url}nope`)).status, 404);
+      } finally {
+        controller.abort();
+        await board.stop();
+      }
+    });
+
+    it('rejects unknown commands', () => {
+      assert.throws(() => {
+        run(['srve'], { env: { TICKETS_DIR: ticketsDir } });
+      }, /Unknown command: srve/);
+    });
+  });
+
+  // --- stats ---
+
+  describe('stats', () => {
+    it('derives lead and cycle times from git history', () => {
+      gitInit(tmp);
+      makeTicket(ticketsDir, 'ab-1111', { status: 'open', assignee: 'ham', tags: '[api]' });
+      makeTicket(ticketsDir, 'ab-2222', { status: 'open', assignee: 'ewe' });
+      gitCommit(tmp, 30, 'add tickets');
+      makeTicket(ticketsDir, 'ab-1111', { status: 'in_progress', assignee: 'ham', tags: '[api]' });
+      gitCommit(tmp, 20, 'start');
+      makeTicket(ticketsDir, 'ab-1111', { status: 'closed', assignee: 'ham', tags: '[api]' });
+      makeTicket(ticketsDir, 'ab-2222', { status: 'closed', assignee: 'ewe' });
+      gitCommit(tmp, 10, 'close');
+      makeTicket(ticketsDir, 'ab-3333', { status: 'open', created: new Date(Date.now() - 2 * DAY).toISOString() });
+
+      const stats = JSON.parse(run(['stats', '--format=json'], { cwd: tmp }));
+      assert.deepEqual(stats.columns.map(c => c.count), [1, 0, 2]);
+      assert.equal(stats.untimed, 0);
+      assert.equal(stats.throughput.reduce((n, w) => n + w.closed, 0), 2);
+
+      const ham = stats.leadTime.byAssignee.find(g => g.key === 'ham');
+      assert.equal(Math.round(ham.lead.median), 20);
+      assert.equal(Math.round(ham.cycle.median), 10);
+      const ewe = stats.leadTime.byAssignee.find(g => g.key === 'ewe');
+      assert.equal(ewe.cycle.median, null);
+      assert.deepEqual(stats.leadTime.byTag.map(g => g.key), ['api', null]);
+
+      const last = stats.cumulativeFlow[stats.cumulativeFlow.length - 1];
+      assert.deepEqual(last.counts, { open: 1, in_progress: 0, closed: 2 });
+      // The weekly sample taken between adding the tickets and starting work
+      const before = stats.cumulativeFlow.find(s => {
+        const age = (Date.now() - new Date(s.date)) / DAY;
+        return age > 22 && age <= 29;
+      });
+      assert.deepEqual(before.counts, { open: 2, in_progress: 0, closed: 0 });
+    });
+
+    it('only reads status changes from the frontmatter', () => {
+      gitInit(tmp);
+      makeTicket(ticketsDir, 'ab-1111', { status: 'open' });
+      gitCommit(tmp, 30, 'add ticket');
+      makeTicket(ticketsDir, 'ab-1111', { status: 'in_progress' });
+      gitCommit(tmp, 20, 'start');
+      fs.appendFileSync(path.join(ticketsDir, 'ab-1111.md'), 'status: closed upstream, waiting on vendor\n');
+      gitCommit(tmp, 10, 'note');
+
+      const stats = JSON.parse(run(['stats', '--format=json'], { cwd: tmp }));
+      assert.equal(stats.throughput.reduce((n, w) => n + w.closed, 0), 0);
+      // The weekly samples taken after work started
+      const started = stats.cumulativeFlow.filter(s => {
+        const age = (Date.now() - new Date(s.date)) / DAY;
+        return age > 1 && age < 19;
+      });
+      assert.ok(started.length);
+      for (const sample of started) {
+        assert.deepEqual(sample.counts, { open: 0, in_progress: 1, closed: 0 });
+      }
+    });
+
+    it('takes no notice of tickets moved into an archive directory', () => {
+      gitInit(tmp);
+      makeTicket(ticketsDir, 'ab-1111', { status: 'open' });
+      gitCommit(tmp, 30, 'add ticket');
+      makeTicket(ticketsDir, 'ab-1111', { status: 'closed' });
+      gitCommit(tmp, 25, 'close');
+      fs.mkdirSync(path.join(ticketsDir, 'archive'));
+      fs.renameSync(path.join(ticketsDir, 'ab-1111.md'), path.join(ticketsDir, 'archive', 'ab-1111.md'));
+      fs.writeFileSync(path.join(ticketsDir, 'board.json'), JSON.stringify({ recursive: true }));
+      gitCommit(tmp, 5, 'archive');
+
+      const stats = JSON.parse(run(['stats', '--format=json'], { cwd: tmp }));
+      assert.deepEqual(stats.columns.map(c => c.count), [0, 0, 1]);
+      assert.equal(stats.throughput.reduce((n, w) => n + w.closed, 0), 1);
+      assert.equal(Math.round(stats.leadTime.byAssignee[0].lead.median), 5);
+    });
+
+    it('renders a text report and uses created: without git', () => {
+      makeTicket(ticketsDir, 'ab-1111', { status: 'open', created: '2020-01-01' });
+      makeTicket(ticketsDir, 'ab-2222', { status: 'open' });
+
+      const out = run(['stats', '--weeks', '2'], { env: { TICKETS_DIR: ticketsDir } });
+      assert.match(out, /^COLUMNS\n {2}OPEN +2/);
+      assert.match(out, /THROUGHPUT/);
+      assert.match(out, /no closed tickets with timing data/);
+      assert.match(out, /CUMULATIVE FLOW\n.*CLOSED.*OPEN/);
+      assert.equal(out.match(/^ {2}\d{4}-\d\d-\d\d {2}/gm).length, 4);
+      assert.match(out, /1 ticket has no created: date or git history/);
+    });
+  });
+
+  // --- time travel ---
+
+  describe('time travel', () => {
+    beforeEach(() => {
+      gitInit(tmp);
+      makeTicket(ticketsDir, 'ab-1111', { status: 'open' }, 'Old open');
+      makeTicket(ticketsDir, 'ab-2222', { status: 'open' }, 'Will close');
+      makeTicket(ticketsDir, 'ab-3333', { status: 'open' }, 'Will go away');
+      gitCommit(tmp, 10, 'first');
+      makeTicket(ticketsDir, 'ab-1111', { status: 'in_progress' }, 'Old open');
+      makeTicket(ticketsDir, 'ab-2222', { status: 'closed' }, 'Will close');
+      fs.unlinkSync(path.join(ticketsDir, 'ab-3333.md'));
+      makeTicket(ticketsDir, 'ab-4444', { status: 'open' }, 'Brand new');
+      gitCommit(tmp, 2, 'second');
+    });
+
+    it('--at renders the committed tickets of a revision or date', () => {
+      const atRev = run(['--at', 'HEAD~1'], { cwd: tmp });
+      assert.match(atRev, /^Board as of HEAD~1 \([0-9a-f]{8}, /);
+      assert.match(atRev, /Will go away/);
+      assert.doesNotMatch(atRev, /Brand new/);
+      const open = atRev.split('\n').find(l => l.startsWith('ab-1111'));
+      assert.ok(open, 'ab-1111 is in the first column');
+
+      const date = new Date(Date.now() - 5 * DAY).toISOString().slice(0, 10);
+      const atDate = JSON.parse(run(['--at', date, '--format=json'], { cwd: tmp }));
+      assert.deepEqual(atDate.columns[0].tickets.map(t => t.id), ['ab-1111', 'ab-2222', 'ab-3333']);
+    });
+
+    it('--at --format=html shows the committed ticket bodies', () => {
+      fs.writeFileSync(path.join(ticketsDir, 'ab-1111.md'), '---\nid: ab-1111\nstatus: open\n---\n# New title\n\nNEW BODY\n', 'utf8');
+      const html = run(['--at', 'HEAD', '--format=html'], { cwd: tmp });
+      assert.match(html, /Old open<\/div>/);
+      assert.match(html, /<details data-id="ab-1111"><summary>Details<\/summary><pre>Description\.<\/pre>/);
+      assert.doesNotMatch(html, /NEW BODY/);
+    });
+
+    it('--diff-from marks added, moved and closed cards', () => {
+      const out = run(['--diff-from', 'HEAD~1'], { cwd: tmp });
+      assert.match(out, /Brand new +Old open +Will close *\n\+ new +\u21aa from OPEN +\u2713 closed/);
+      assert.match(out, /Since HEAD~1 \([0-9a-f]{8}, [^)]*\): 1 added, 1 moved, 1 closed, 1 removed \(ab-3333\)/);
+    });
+
+    it('rejects unknown revisions and directories outside git', () => {
+      assert.throws(() => run(['--at', 'no-such-rev'], { cwd: tmp }), /unknown revision or date: no-such-rev/);
+      assert.throws(() => run(['--at', '1999-01-01'], { cwd: tmp }), /no commit on or before 1999-01-01/);
+      fs.rmSync(path.join(tmp, '.git'), { recursive: true });
+      assert.throws(() => run(['--at', 'HEAD'], { cwd: tmp }), /not inside a git repository/);
+    });
+  });
+
   // --- error cases ---
 
   describe('error cases', () => {
@@ -251,6 +1521,24 @@ describe('ticket-board', () => {
       }, /Unknown option/);
     });
 
+    it('exits with error for --interactive without a terminal', () => {
+      assert.throws(() => {
+        run(['-i'], { env: { TICKETS_DIR: ticketsDir } });
+      }, /requires a terminal/);
+    });
+
+    it('exits with error when no column is left to show', () => {
+      makeTicket(ticketsDir, 'ab-1', { status: 'open' });
+      const env = { TICKETS_DIR: ticketsDir };
+      assert.throws(() => run(['--columns', ','], { env }), /no columns to show/);
+      assert.throws(() => run(['--no-closed', '--columns', 'closed'], { env }), /no columns to show/);
+
+      fs.writeFileSync(path.join(ticketsDir, 'board.json'), JSON.stringify({
+        columns: [{ key: 'open', hidden: true }, { key: 'closed' }],
+      }), 'utf8');
+      assert.throws(() => run(['--no-closed'], { env }), /no columns to show/);
+    });
+
     it('exits with error when no .tickets dir found', () => {
       const isolated = fs.mkdtempSync(path.join(os.tmpdir(), 'tk-notickets-'));
       try {
@@ -282,6 +1570,100 @@ describe('ticket-board', () => {
     });
   });
 
+  // --- frontmatter parsing ---
+
+  describe('frontmatter parsing', () => {
+    function writeRaw(name, content) {
+      fs.writeFileSync(path.join(ticketsDir, name), content, 'utf8');
+    }
+
+    function tickets() {
+      const doc = JSON.parse(run(['--format=json'], { env: { TICKETS_DIR: ticketsDir } }));
+      return doc.columns.flatMap(c => c.tickets);
+    }
+
+    it('accepts CRLF line endings', () => {
+      writeRaw('ab-crlf.md', '---\r\nid: ab-crlf\r\nstatus: in_progress\r\ntags: [a, b]\r\n---\r\n# Windows ticket\r\n\r\nSome details.\r\n');
+
+      const [ticket] = tickets();
+      assert.equal(ticket.status, 'in_progress');
+      assert.equal(ticket.title, 'Windows ticket');
+      assert.deepEqual(ticket.tags, ['a', 'b']);
+      assert.match(run(['--format=html'], { env: { TICKETS_DIR: ticketsDir } }), /<pre>Some details\.<\/pre>/);
+    });
+
+    it('only closes the frontmatter with a --- line', () => {
+      writeRaw('ab-dash.md', '---\nid: ab-dash\nnote: a---\nstatus: closed\n---\n# Dashes\n');
+      writeRaw('ab-empty.md', '---\n---\n# Empty frontmatter\n');
+
+      const byTitle = Object.fromEntries(tickets().map(t => [t.title, t]));
+      assert.equal(byTitle.Dashes.status, 'closed');
+      assert.equal(byTitle.Dashes.fields.note, 'a---');
+      assert.ok(byTitle['Empty frontmatter']);
+    });
+
+    it('reads key:value without a space but --lint flags it', () => {
+      writeRaw('ab-tight.md', '---\nid: ab-tight\nstatus:closed\n---\n# Tight\n');
+
+      assert.equal(tickets()[0].status, 'closed');
+      const result = spawnSync(process.execPath, [BIN, '--lint'], { env: { ...process.env, TICKETS_DIR: ticketsDir }, encoding: 'utf8' });
+      assert.equal(result.status, 1);
+      assert.match(result.stdout, /ab-tight\.md:3: missing space after "status:"/);
+    });
+
+    it('parses block lists, quoted values and block scalars', () => {
+      writeRaw('ab-yaml.md', [
+        '---',
+        'id: ab-yaml',
+        'status: "open"',
+        "assignee: 'O''Brien'",
+        'tags:',
+        '  - backend',
+        '  - "needs review"',
+        'deps: ["ab-1, odd", ab-2]',
+        'notes: |',
+        '  line one',
+        '  line two',
+        'summary: >',
+        '  folded',
+        '  text',
+        '---',
+        '# YAML ticket',
+        '',
+      ].join('\n'));
+
+      const [ticket] = tickets();
+      assert.equal(ticket.assignee, "O'Brien");
+      assert.deepEqual(ticket.tags, ['backend', 'needs review']);
+      assert.deepEqual(ticket.deps, ['ab-1, odd', 'ab-2']);
+      assert.equal(ticket.fields.notes, 'line one\nline two');
+      assert.equal(ticket.fields.summary, 'folded text');
+    });
+
+    it('--lint reports problems with file:line diagnostics', () => {
+      makeTicket(ticketsDir, 'ab-good', { status: 'open', priority: 2 }, 'Fine');
+      writeRaw('ab-bad.md', '---\nid: ab-bad\nstatus: wip\npriority: high\n---\n# Bad\n');
+      writeRaw('ab-none.md', '# No frontmatter\n');
+
+      const result = spawnSync(process.execPath, [BIN, '--lint'], {
+        env: { ...process.env, TICKETS_DIR: ticketsDir },
+        encoding: 'utf8',
+      });
+      assert.equal(result.status, 1);
+      assert.match(result.stdout, /ab-bad\.md:3: unknown status "wip"/);
+      assert.match(result.stdout, /ab-bad\.md:4: invalid priority "high"/);
+      assert.match(result.stdout, /ab-none\.md:1: missing frontmatter/);
+      assert.doesNotMatch(result.stdout, /ab-good/);
+    });
+
+    it('--lint exits zero when every ticket is valid', () => {
+      makeTicket(ticketsDir, 'ab-good', { status: 'open', priority: 2 }, 'Fine');
+
+      const out = run(['--lint'], { env: { TICKETS_DIR: ticketsDir } });
+      assert.match(out, /1 ticket file OK/);
+    });
+  });
+
   // --- combined filters ---
 
   describe('combined filters', () => {
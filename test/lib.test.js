@@ -0,0 +1,318 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const board = require('..');
+
+function makeTicket(ticketsDir, id, fields, title = 'Test ticket') {
+  const fm = Object.entries(fields)
+    .map(([k, v]) => `${k}: ${v}`)
+    .join('\n');
+  const content = `---\nid: ${id}\n${fm}\n---\n# ${title}\n\nDescription.\n`;
+  fs.writeFileSync(path.join(ticketsDir, `${id}.md`), content, 'utf8');
+}
+
+describe('library', () => {
+  let tmp, ticketsDir;
+
+  beforeEach(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'tk-board-lib-'));
+    ticketsDir = path.join(tmp, '.tickets');
+    fs.mkdirSync(ticketsDir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+
+  it('loadBoard returns structured columns', () => {
+    makeTicket(ticketsDir, 'a-1', { status: 'open', priority: 2, assignee: 'ham' }, 'First');
+    makeTicket(ticketsDir, 'a-2', { status: 'open', priority: 0 }, 'Second');
+    makeTicket(ticketsDir, 'a-3', { status: 'closed' }, 'Done');
+
+    const result = board.loadBoard({ ticketsDir });
+    assert.equal(result.ticketsDir, ticketsDir);
+    assert.deepEqual(result.columns.map(c => c.key), ['open', 'in_progress', 'closed']);
+    assert.deepEqual(result.columns[0].tickets.map(t => t.id), ['a-2', 'a-1']);
+    assert.equal(result.columns[0].tickets[1].title, 'First');
+    assert.deepEqual(result.warnings, []);
+  });
+
+  it('loadBoard applies filters and column options', () => {
+    makeTicket(ticketsDir, 'a-1', { status: 'open', assignee: 'ham' });
+    makeTicket(ticketsDir, 'a-2', { status: 'open', assignee: 'ewe' });
+    makeTicket(ticketsDir, 'a-3', { status: 'closed', assignee: 'ham' });
+
+    const result = board.loadBoard({ ticketsDir, filters: { query: 'assignee:ham' }, columns: ['open'] });
+    assert.deepEqual(result.columns.map(c => c.key), ['open']);
+    assert.deepEqual(result.columns[0].tickets.map(t => t.id), ['a-1']);
+  });
+
+  it('loadBoard accepts board.json contents as config', () => {
+    makeTicket(ticketsDir, 'a-1', { status: 'todo' });
+    const result = board.loadBoard({ ticketsDir, config: { columns: [{ key: 'todo' }] } });
+    assert.deepEqual(result.columns.map(c => c.label), ['TODO']);
+    assert.equal(result.columns[0].tickets.length, 1);
+  });
+
+  it('throws BoardError instead of exiting', () => {
+    assert.throws(() => board.loadBoard({ ticketsDir, columns: ['nope'] }), (err) => {
+      assert.ok(err instanceof board.BoardError);
+      assert.match(err.message, /Unknown column: nope/);
+      return true;
+    });
+    assert.throws(() => board.loadBoard({ ticketsDir, config: { unknownStatus: 'ignore' } }), board.BoardError);
+    assert.throws(() => board.formatBoard(board.loadBoard({ ticketsDir }), 'xml'), /Unknown format: xml/);
+  });
+
+  it('reports query errors with their position', () => {
+    assert.throws(() => board.parseQuery('assignee:(ham'), (err) => {
+      assert.ok(err instanceof board.BoardError);
+      assert.match(err.message, /^invalid query: /);
+      assert.equal(err.input, 'assignee:(ham');
+      assert.equal(typeof err.position, 'number');
+      return true;
+    });
+  });
+
+  it('renderBoard returns a string without colors by default', () => {
+    makeTicket(ticketsDir, 'a-1', { status: 'open', priority: 1 }, 'Render me');
+    const out = board.renderBoard(board.loadBoard({ ticketsDir }), { width: 60 });
+    assert.equal(typeof out, 'string');
+    assert.doesNotMatch(out, /\x1b\[/);
+    assert.match(out, /OPEN/);
+    assert.match(out, /a-1  P1/);
+    assert.match(out, /Render me/);
+    for (const line of out.split('\n')) assert.ok(line.length <= 60);
+
+    const colored = board.renderBoard(board.loadBoard({ ticketsDir }), { width: 60, color: true });
+    assert.match(colored, /\x1b\[/);
+  });
+
+  it('renderBoard stacks the columns on narrow terminals', () => {
+    makeTicket(ticketsDir, 'a-1', { status: 'open' }, 'Stacked title that would not fit a third');
+    makeTicket(ticketsDir, 'a-2', { status: 'closed' }, 'Done');
+    const loaded = board.loadBoard({ ticketsDir });
+
+    const lines = board.renderBoard(loaded, { width: 60 }).split('\n');
+    assert.deepEqual(lines, [
+      'OPEN 1', '\u2500'.repeat(60), 'a-1  P2', 'Stacked title that would not fit a third', '',
+      'IN PROGRESS 0', '\u2500'.repeat(60), '',
+      'CLOSED 1', '\u2500'.repeat(60), 'a-2  P2', 'Done',
+    ]);
+    assert.match(board.renderBoard(loaded, { width: 80 }), /^OPEN {23}IN PROGRESS/);
+  });
+
+  it('loadBoard merges several projects', () => {
+    const otherDir = path.join(tmp, 'other');
+    fs.mkdirSync(otherDir);
+    makeTicket(ticketsDir, 'a-1', { status: 'open' }, 'Here');
+    makeTicket(otherDir, 'a-1', { status: 'open' }, 'There');
+
+    const result = board.loadBoard({ projects: [{ name: 'here', dir: ticketsDir }, { name: 'there', dir: otherDir }] });
+    assert.equal(result.ticketsDir, null);
+    assert.deepEqual(result.columns[0].tickets.map(t => `${t.id} ${t.title}`), ['here/a-1 Here', 'there/a-1 There']);
+    assert.deepEqual(result.warnings, []);
+  });
+
+  it('loadPRStatuses trusts cached states until they expire', () => {
+    const url = 'https://github.com/org/repo/pull/12';
+    const cacheFile = path.join(tmp, 'pr-status.json');
+    fs.writeFileSync(cacheFile, JSON.stringify({ [url]: { at: 1000, status: { state: 'open', checks: 'failing' } } }), 'utf8');
+    const settings = { provider: 'command', command: [path.join(tmp, 'missing')], ttl: 60 };
+
+    const fresh = board.loadPRStatuses([url, 'not a url'], settings, { cacheFile, now: 1000 + 59 * 1000 });
+    assert.deepEqual([...fresh], [[url, { state: 'open', checks: 'failing' }]]);
+    assert.equal(board.loadPRStatuses([url], settings, { cacheFile, now: 1000 + 61 * 1000 }).size, 0);
+  });
+
+  it('loadPRStatuses does not ask again about URLs it had no answer for', () => {
+    const url = 'https://github.com/org/repo/pull/12';
+    const cacheFile = path.join(tmp, 'pr-status.json');
+    const calls = path.join(tmp, 'calls');
+    const provider = path.join(tmp, 'provider.js');
+    fs.writeFileSync(provider, `require('fs').appendFileSync(${JSON.stringify(calls)}, 'x'); console.log('{}');`, 'utf8');
+    const settings = { provider: 'command', command: [process.execPath, provider], ttl: 60 };
+
+    assert.equal(board.loadPRStatuses([url], settings, { cacheFile, now: 1000 }).size, 0);
+    assert.equal(board.loadPRStatuses([url], settings, { cacheFile, now: 1000 + 59 * 1000 }).size, 0);
+    assert.equal(fs.readFileSync(calls, 'utf8'), 'x');
+    board.loadPRStatuses([url], settings, { cacheFile, now: 1000 + 61 * 1000 });
+    assert.equal(fs.readFileSync(calls, 'utf8'), 'xx');
+  });
+
+  it('limitColumns keeps the tickets whose files changed last', () => {
+    const closed = (id, mtime) => ({ id, status: 'closed', fields: {}, file: path.join(tmp, 'gone', `${id}.md`), mtime });
+    const column = {
+      key: 'closed',
+      statuses: ['closed'],
+      tickets: [closed('c-1', '2026-01-03T00:00:00Z'), closed('c-2', '2026-01-01T00:00:00Z'), closed('c-3', '2026-01-02T00:00:00Z')],
+    };
+    const [limited] = board.limitColumns([column], { closedLimit: 2 });
+    assert.deepEqual(limited.tickets.map(t => t.id), ['c-1', 'c-3']);
+    assert.equal(limited.more, 1);
+  });
+
+  it('buildBoard ages tickets against options.now', () => {
+    const { ticket, diagnostics } = board.parseTicketContent('---\nid: x-1\nstatus: open\ncreated: 2026-03-01\nupdated: soon\n---\n# Hello\n', 'x-1.md');
+    assert.equal(ticket.created, '2026-03-01T00:00:00.000Z');
+    assert.equal(ticket.updated, null);
+    assert.deepEqual(diagnostics, [{ line: 5, message: 'invalid date "soon" for updated' }]);
+
+    const now = Date.parse('2026-03-20T12:00:00Z');
+    const [aged] = board.buildBoard([ticket], { now }).tickets;
+    assert.equal(aged.age, 19);
+    assert.equal(aged.stale, true);
+    assert.equal(board.buildBoard([ticket], { now, config: board.normalizeConfig({ staleAfter: 30 }) }).tickets[0].stale, false);
+  });
+
+  it('setFrontmatterField keeps line endings and everything around the field', () => {
+    const content = '\uFEFF---\r\nid: x-1\r\ntags: [a]\r\n# note\r\n---\r\n# Hello\r\n';
+    assert.equal(board.setFrontmatterField(content, 'tags', ['a', 'b c']), content.replace('[a]', '[a, b c]'));
+    assert.equal(board.setFrontmatterField(content, 'status', 'in_progress'), content.replace('# note\r\n', '# note\r\nstatus: in_progress\r\n'));
+    assert.equal(board.setFrontmatterField(content, 'tags', null), content.replace('tags: [a]\r\n', ''));
+    assert.equal(board.setFrontmatterField('---\nparent: a\n---\n', 'parent', 'b: c'), '---\nparent: "b: c"\n---\n');
+    assert.equal(board.setFrontmatterField('# no frontmatter\n', 'status', 'open'), null);
+  });
+
+  it('formatBoard serializes the same board as the CLI', () => {
+    makeTicket(ticketsDir, 'a-1', { status: 'open' });
+    const data = JSON.parse(board.formatBoard(board.loadBoard({ ticketsDir }), 'json'));
+    assert.equal(data.version, board.JSON_SCHEMA_VERSION);
+    assert.equal(data.columns[0].tickets[0].id, 'a-1');
+  });
+
+  it('loadTicketsAsync loads the same tickets as loadTickets', async () => {
+    makeTicket(ticketsDir, 'a-1', { status: 'open', tags: '[x, y]' });
+    fs.mkdirSync(path.join(ticketsDir, 'archive'));
+    makeTicket(path.join(ticketsDir, 'archive'), 'a-2', { status: 'closed' });
+
+    assert.deepEqual((await board.loadTicketsAsync(ticketsDir)).map(t => t.id), ['a-1']);
+    const options = { recursive: true };
+    assert.deepEqual(await board.loadTicketsAsync(ticketsDir, options), board.loadTickets(ticketsDir, options));
+    assert.deepEqual(board.listTicketFiles(ticketsDir, true), [
+      path.join(ticketsDir, 'a-1.md'),
+      path.join(ticketsDir, 'archive', 'a-2.md'),
+    ]);
+  });
+
+  it('loadBoard only uses the ticket cache when asked to', () => {
+    makeTicket(ticketsDir, 'a-1', { status: 'open' });
+    const past = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    fs.utimesSync(path.join(ticketsDir, 'a-1.md'), past, past);
+    const cacheFile = path.join(ticketsDir, '.board-cache.json');
+
+    board.loadBoard({ ticketsDir });
+    assert.equal(fs.existsSync(cacheFile), false);
+    const cold = board.loadBoard({ ticketsDir, cache: true });
+    assert.equal(fs.existsSync(cacheFile), true);
+    assert.deepEqual(board.loadBoard({ ticketsDir, cache: true }).tickets, cold.tickets);
+  });
+
+  it('loadBoard ignores a ticket cache written by another version', () => {
+    makeTicket(ticketsDir, 'a-1', { status: 'open' }, 'Fresh');
+    const file = path.join(ticketsDir, 'a-1.md');
+    const past = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    fs.utimesSync(file, past, past);
+    const { mtimeMs, size } = fs.statSync(file);
+    const stale = { ...board.parseTicket(file), title: 'Stale' };
+    const cacheFile = path.join(ticketsDir, '.board-cache.json');
+    fs.writeFileSync(cacheFile, JSON.stringify({ version: 1, entries: { 'a-1.md': { mtimeMs, size, ticket: stale } } }), 'utf8');
+
+    assert.equal(board.loadBoard({ ticketsDir, cache: true }).tickets[0].title, 'Fresh');
+    assert.notEqual(JSON.parse(fs.readFileSync(cacheFile, 'utf8')).version, 1);
+  });
+
+  describe('interactive browser', () => {
+    const { createBrowser } = require('../lib/interactive');
+    const status = (id) => board.parseTicket(path.join(ticketsDir, `${id}.md`)).status;
+    let browser;
+
+    beforeEach(() => {
+      makeTicket(ticketsDir, 'a-1', { status: 'open', priority: 1 }, 'First');
+      makeTicket(ticketsDir, 'a-2', { status: 'open', priority: 2 }, 'Second');
+      makeTicket(ticketsDir, 'a-3', { status: 'closed' }, 'Done');
+      const load = () => board.loadBoard({ ticketsDir });
+      browser = createBrowser({ load });
+      browser.show(load());
+    });
+
+    it('moves the cursor within the board', () => {
+      assert.equal(browser.selected().id, 'a-1');
+      browser.handleKey('j', { name: 'j' });
+      assert.equal(browser.selected().id, 'a-2');
+      browser.handleKey('j', { name: 'down' });
+      assert.equal(browser.selected().id, 'a-2');
+      browser.handleKey('l', { name: 'l' });
+      assert.equal(browser.selected(), null);
+      browser.handleKey('l', { name: 'right' });
+      assert.equal(browser.selected().id, 'a-3');
+      browser.handleKey('l', { name: 'l' });
+      assert.equal(browser.state.col, 2);
+      assert.equal(browser.handleKey('q', { name: 'q' }), 'quit');
+    });
+
+    it('moves tickets to the next and previous column and follows them', () => {
+      browser.handleKey('j', { name: 'j' });
+      browser.handleKey('>', {});
+      assert.equal(status('a-2'), 'in_progress');
+      assert.equal(browser.state.col, 1);
+      assert.equal(browser.selected().id, 'a-2');
+      assert.equal(browser.state.message, 'a-2 → IN PROGRESS');
+
+      browser.handleKey('L', {});
+      assert.equal(status('a-2'), 'closed');
+      browser.handleKey('<', {});
+      browser.handleKey('H', {});
+      assert.equal(status('a-2'), 'open');
+      assert.equal(browser.state.col, 0);
+      assert.equal(browser.selected().id, 'a-2');
+
+      browser.handleKey('h', { name: 'h' });
+      browser.handleKey('<', {});
+      assert.equal(status('a-2'), 'open');
+    });
+
+    it('opens the selected ticket', () => {
+      browser.handleKey('\r', { name: 'return' });
+      assert.deepEqual(browser.state.body, ['# First', '', 'Description.', '']);
+      browser.handleKey('q', { name: 'q' });
+      assert.equal(browser.state.body, null);
+    });
+
+    it('keeps the last board when reloading fails', () => {
+      fs.writeFileSync(path.join(ticketsDir, 'board.json'), '{', 'utf8');
+      browser.handleKey('r', { name: 'r' });
+      assert.match(browser.state.message, /^Error: .*board\.json/);
+      assert.equal(browser.selected().id, 'a-1');
+    });
+  });
+
+  it('parseTicketContent parses a ticket without touching the filesystem', () => {
+    const { ticket, diagnostics } = board.parseTicketContent('---\nid: x-1\nstatus: open\ntags: [a, b]\n---\n# Hello\n', 'x-1.md');
+    assert.equal(ticket.id, 'x-1');
+    assert.equal(ticket.title, 'Hello');
+    assert.deepEqual(ticket.tags, ['a', 'b']);
+    assert.deepEqual(diagnostics, []);
+  });
+
+  it('serveBoard answers a failing page with a 500 and logs unexpected errors', async () => {
+    const { serveBoard } = require('../lib/serve');
+    const server = await serveBoard({ ticketsDir, port: 0, load: () => { throw new TypeError('boom'); } });
+    const logged = [];
+    const consoleError = console.error;
+    console.error = (err) => logged.push(err);
+    try {
+      const res = await fetch(`http://localhost:${server.address().port}/`, { signal: AbortSignal.timeout(5000) });
+      assert.equal(res.status, 500);
+      assert.equal(await res.text(), 'Error: boom\n');
+      assert.equal(logged.length, 1);
+      assert.ok(logged[0] instanceof TypeError);
+    } finally {
+      console.error = consoleError;
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});